@@ -0,0 +1,116 @@
+/**
+ * Activity Archive
+ * Entries trimmed from activity-log.json are appended to monthly JSONL files
+ * (history/activity/2026-10.jsonl), so the live feed stays short without losing
+ * history. queryActivities() filters the live log and archives for the CLI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ActivityQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ActivityQueryError';
+  }
+}
+
+// Archives are split by the UTC month of the entry's timestamp
+function monthOf(timestamp) {
+  return timestamp.slice(0, 7);
+}
+
+function archiveFile(dir, month) {
+  return path.join(dir, `${month}.jsonl`);
+}
+
+function appendToArchive(dir, entries) {
+  const byMonth = new Map();
+  for (const entry of entries) {
+    const month = monthOf(entry.timestamp);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(entry);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [month, items] of byMonth) {
+    fs.appendFileSync(archiveFile(dir, month), items.map(item => JSON.stringify(item)).join('\n') + '\n');
+  }
+}
+
+function listArchiveMonths(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => /^\d{4}-\d{2}\.jsonl$/.test(file))
+    .map(file => file.replace('.jsonl', ''))
+    .sort();
+}
+
+/**
+ * Archived entries for the given months (all months when omitted). Unparseable
+ * lines, e.g. from an interrupted append, are skipped.
+ */
+function readArchive(dir, months = listArchiveMonths(dir)) {
+  const entries = [];
+  for (const month of months) {
+    const file = archiveFile(dir, month);
+    if (!fs.existsSync(file)) continue;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // Partial line; nothing to recover
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Months between two Dates, padded by one on each side so entries near a month
+ * boundary in local time are still found.
+ */
+function monthsBetween(since, until) {
+  const months = [];
+  const cursor = new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() - 1, 1));
+  const last = new Date(Date.UTC(until.getUTCFullYear(), until.getUTCMonth() + 1, 1));
+  while (cursor <= last) {
+    months.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+/**
+ * Live log plus archives, filtered and newest first.
+ * Filters: source (exact), action (case-insensitive substring of action or details),
+ * since/until (Dates, inclusive).
+ */
+function queryActivities(liveEntries, dir, { source, action, since, until } = {}) {
+  const months = since || until
+    ? monthsBetween(since || new Date(0), until || new Date())
+    : undefined;
+  const seen = new Set();
+  const needle = action ? action.toLowerCase() : null;
+
+  return [...liveEntries, ...readArchive(dir, months)]
+    .filter(entry => {
+      const key = entry.id || `${entry.timestamp}|${entry.action}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      const time = new Date(entry.timestamp);
+      return (!source || entry.source === source) &&
+        (!needle || `${entry.action} ${entry.details || ''}`.toLowerCase().includes(needle)) &&
+        (!since || time >= since) &&
+        (!until || time <= until);
+    })
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+module.exports = {
+  ActivityQueryError,
+  appendToArchive,
+  readArchive,
+  queryActivities
+};
@@ -0,0 +1,311 @@
+/**
+ * Alerting
+ * Evaluates rules against the collected dashboard data after each run and routes
+ * alerts to notifiers (alerts.jsonl, webhook, `clawdbot message send`).
+ *
+ * Every alert has a stable key (e.g. "cron-error:<id>"). The alert state file
+ * remembers which keys are active and when each was last notified, so a condition
+ * that stays true only notifies once, and a key that resolves and fires again
+ * within the cooldown is recorded but not re-sent. A firing alert that a notifier
+ * failed to deliver stays pending for that notifier and is retried on the next run.
+ */
+
+const fs = require('fs');
+const { exec } = require('child_process');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Resolved alerts are forgotten after this long (their cooldown has long expired)
+const RESOLVED_RETENTION_DAYS = 7;
+const NOTIFIER_TIMEOUT_MS = 10000;
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+function daysSince(dateStr, now) {
+  const date = new Date(dateStr);
+  if (isNaN(date)) return null;
+  return Math.floor((now.getTime() - date.getTime()) / DAY_MS);
+}
+
+/**
+ * Each rule returns the alerts currently firing: { key, severity, title, message }.
+ * Options come from the `alerts` config section. `source` is the collector the rule
+ * reads; when that collector fails the rule is skipped and its alerts are held.
+ */
+const ALERT_RULES = [
+  {
+    name: 'cronError',
+    source: 'crons',
+    evaluate(data) {
+      return data.crons.crons
+        .filter(cron => cron.status === 'error')
+        .map(cron => {
+          const streak = cron.history?.failureStreak || 1;
+          return {
+            key: `cron-error:${cron.id}`,
+            severity: streak >= 2 ? 'critical' : 'warning',
+            title: `Cron failed: ${cron.name}`,
+            message: `${cron.name} (${cron.schedule}) last ran ${cron.last} with status error` +
+              (streak >= 2 ? `, ${streak} failures in a row` : '')
+          };
+        });
+    }
+  },
+  {
+    name: 'contextHigh',
+    source: 'systemStatus',
+    evaluate(data, options) {
+      const context = data.systemStatus.mainSessionContext;
+      if (!context || context.percent < options.contextPercent) return [];
+      return [{
+        key: 'context-high:main',
+        severity: context.percent >= 95 ? 'critical' : 'warning',
+        title: `Main session context at ${context.percent}%`,
+        message: `Main session is using ${Math.round(context.used / 1000)}k of ${Math.round(context.total / 1000)}k tokens (threshold ${options.contextPercent}%)`
+      }];
+    }
+  },
+  {
+    name: 'ouraStale',
+    source: 'oura',
+    evaluate(data, options, now) {
+      const age = data.oura.date ? daysSince(data.oura.date, now) : null;
+      if (age === null || age < options.ouraStaleDays) return [];
+      return [{
+        key: 'oura-stale',
+        severity: 'warning',
+        title: `Oura data is ${age} days old`,
+        message: `Latest Oura data is from ${data.oura.date}; check that the ring is syncing`
+      }];
+    }
+  },
+  {
+    name: 'awaitingStale',
+    source: 'awaitingResponses',
+    evaluate(data, options) {
+      return data.awaitingResponses
+        .filter(item => item.waitingDays !== null && item.waitingDays >= options.awaitingStaleDays)
+        .map(item => ({
+          key: `awaiting-stale:${item.date}:${item.title}`,
+          severity: item.overdue ? 'critical' : 'warning',
+          title: `No response for ${item.waitingDays} days: ${item.title}`,
+          message: `Waiting on ${item.channel} since ${item.date}` + (item.whereToCheck ? ` (check: ${item.whereToCheck})` : '')
+        }));
+    }
+  }
+];
+
+/**
+ * Split rules into those that can run and the names of those whose source collector
+ * failed this run (their data is only the collector's empty default).
+ */
+function rulesForCollectors(collectorStatus = {}, rules = ALERT_RULES) {
+  const failed = rule => collectorStatus[rule.source]?.ok === false;
+  return {
+    rules: rules.filter(rule => !failed(rule)),
+    held: rules.filter(failed).map(rule => rule.name)
+  };
+}
+
+/**
+ * Run every rule; a rule that throws is reported and skipped.
+ */
+function evaluateAlertRules(data, options, now, rules = ALERT_RULES) {
+  const alerts = [];
+  for (const rule of rules) {
+    try {
+      for (const alert of rule.evaluate(data, options, now)) {
+        alerts.push({ rule: rule.name, ...alert });
+      }
+    } catch (err) {
+      console.log(`   ⚠️ Alert rule ${rule.name} failed: ${err.message}`);
+    }
+  }
+  return alerts;
+}
+
+// =============================================================================
+// STATE (dedupe + cooldown)
+// =============================================================================
+
+function loadAlertState(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { alerts: state.alerts || {} };
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Could not load alert state: ${err.message}`);
+  }
+  return { alerts: {} };
+}
+
+function saveAlertState(filePath, state) {
+  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Compare firing alerts against the stored state and decide what to send.
+ * Returns events of type 'firing', 'suppressed' (re-fired within cooldown) and
+ * 'resolved'; mutates `state` to match. Active alerts whose last delivery failed
+ * fire again for the notifiers that missed them (`event.notifiers`). Active alerts
+ * from `heldRules` (rules that couldn't run) stay active as they are.
+ * lastNotifiedAt is only stamped by recordDeliveries() once something was sent.
+ */
+function reconcileAlerts(state, firing, now, cooldownMinutes, heldRules = []) {
+  const events = [];
+  const nowIso = now.toISOString();
+  const firingKeys = new Set(firing.map(a => a.key));
+
+  for (const alert of firing) {
+    const entry = state.alerts[alert.key];
+    if (entry?.active) {
+      entry.lastSeenAt = nowIso;
+      if (entry.pendingNotifiers?.length > 0) {
+        events.push({ type: 'firing', at: nowIso, retry: true, notifiers: entry.pendingNotifiers, ...alert });
+      }
+      continue;
+    }
+
+    const sinceNotified = entry?.lastNotifiedAt ? (now - new Date(entry.lastNotifiedAt)) / MINUTE_MS : Infinity;
+    const suppressed = sinceNotified < cooldownMinutes;
+    state.alerts[alert.key] = {
+      rule: alert.rule,
+      title: alert.title,
+      severity: alert.severity,
+      active: true,
+      firstSeenAt: nowIso,
+      lastSeenAt: nowIso,
+      lastNotifiedAt: entry?.lastNotifiedAt || null,
+      count: (entry?.count || 0) + 1
+    };
+    events.push({ type: suppressed ? 'suppressed' : 'firing', at: nowIso, ...alert });
+  }
+
+  for (const [key, entry] of Object.entries(state.alerts)) {
+    if (entry.active && heldRules.includes(entry.rule)) {
+      continue;
+    } else if (entry.active && !firingKeys.has(key)) {
+      entry.active = false;
+      entry.resolvedAt = nowIso;
+      delete entry.pendingNotifiers;
+      events.push({ type: 'resolved', at: nowIso, key, rule: entry.rule, severity: entry.severity, title: entry.title });
+    } else if (!entry.active && now - new Date(entry.resolvedAt) > RESOLVED_RETENTION_DAYS * DAY_MS) {
+      delete state.alerts[key];
+    }
+  }
+
+  return events;
+}
+
+// =============================================================================
+// NOTIFIERS
+// =============================================================================
+
+/**
+ * A notifier is { name, events, send(event) }; `events` lists the event types it
+ * wants. send() may be async and should throw on failure.
+ */
+function createFileNotifier(filePath) {
+  return {
+    name: 'file',
+    events: ['firing', 'suppressed', 'resolved'],
+    send(event) {
+      fs.appendFileSync(filePath, JSON.stringify(event) + '\n');
+    }
+  };
+}
+
+function createWebhookNotifier(url) {
+  return {
+    name: 'webhook',
+    events: ['firing', 'resolved'],
+    async send(event) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event),
+        signal: AbortSignal.timeout(NOTIFIER_TIMEOUT_MS)
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    }
+  };
+}
+
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+function createMessageNotifier(clawdbot, target, channel) {
+  return {
+    name: 'clawdbot',
+    events: ['firing'],
+    send(event) {
+      const icon = event.severity === 'critical' ? '🚨' : '⚠️';
+      const text = `${icon} ${event.title}\n${event.message}`;
+      const channelArg = channel ? ` --channel ${shellQuote(channel)}` : '';
+      const command = `${clawdbot} message send${channelArg} --target ${shellQuote(target)} --message ${shellQuote(text)}`;
+      return new Promise((resolve, reject) => {
+        exec(command, { timeout: NOTIFIER_TIMEOUT_MS }, err => err ? reject(err) : resolve());
+      });
+    }
+  };
+}
+
+/**
+ * Send each event to every notifier that wants it (only to `event.notifiers` when
+ * the event is a retry). Failures are logged, never thrown. Returns one
+ * { event, sent, failed } per event, with notifier names.
+ */
+async function dispatchAlerts(events, notifiers) {
+  return Promise.all(events.map(async event => {
+    const targets = notifiers.filter(n => n.events.includes(event.type) && (!event.notifiers || event.notifiers.includes(n.name)));
+    const sent = [];
+    const failed = [];
+    await Promise.all(targets.map(notifier =>
+      Promise.resolve()
+        .then(() => notifier.send(event))
+        .then(() => sent.push(notifier.name), err => {
+          console.log(`   ⚠️ ${notifier.name} notifier failed for ${event.key}: ${err.message}`);
+          failed.push(notifier.name);
+        })
+    ));
+    return { event, sent, failed };
+  }));
+}
+
+/**
+ * Fold dispatch results back into the state: a firing alert counts as notified once
+ * any notifier delivered it (or none wanted it), and the notifiers that failed stay
+ * pending so the next run retries them.
+ */
+function recordDeliveries(state, deliveries) {
+  for (const { event, sent, failed } of deliveries) {
+    const entry = state.alerts[event.key];
+    if (event.type !== 'firing' || !entry?.active) continue;
+    if (sent.length > 0 || failed.length === 0) entry.lastNotifiedAt = event.at;
+    if (failed.length > 0) {
+      entry.pendingNotifiers = failed;
+    } else {
+      delete entry.pendingNotifiers;
+    }
+  }
+  return state;
+}
+
+module.exports = {
+  ALERT_RULES,
+  rulesForCollectors,
+  evaluateAlertRules,
+  loadAlertState,
+  saveAlertState,
+  reconcileAlerts,
+  createFileNotifier,
+  createWebhookNotifier,
+  createMessageNotifier,
+  dispatchAlerts,
+  recordDeliveries
+};
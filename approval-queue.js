@@ -0,0 +1,132 @@
+/**
+ * Approval Queue
+ * Lifecycle of items in approval-queue.json, shared by the CLI (`update-dashboard.js queue ...`)
+ * and the dashboard server's approve/reject buttons.
+ *
+ *   pending --approve--> approved --complete--> completed
+ *   pending --reject---> rejected
+ *
+ * Each state has its own array in the file (pendingApproval, approved, rejected, completed);
+ * a transition moves the item between arrays and stamps it.
+ */
+
+const fs = require('fs');
+
+const STATUS_ARRAYS = {
+  pending: 'pendingApproval',
+  approved: 'approved',
+  rejected: 'rejected',
+  completed: 'completed'
+};
+
+// action -> { from, to, stamp }
+const TRANSITIONS = {
+  approve: { from: 'pending', to: 'approved', stamp: 'decidedAt', verb: 'Approved' },
+  reject: { from: 'pending', to: 'rejected', stamp: 'decidedAt', verb: 'Rejected' },
+  complete: { from: 'approved', to: 'completed', stamp: 'completedAt', verb: 'Completed' }
+};
+
+class QueueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueError';
+  }
+}
+
+function loadQueue(filePath) {
+  let queue = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      queue = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new QueueError(`Could not read approval queue ${filePath}: ${err.message}`);
+    }
+  }
+  for (const key of Object.values(STATUS_ARRAYS)) {
+    queue[key] = queue[key] || [];
+  }
+  return queue;
+}
+
+function saveQueue(filePath, queue) {
+  queue.lastUpdated = new Date().toISOString();
+  fs.writeFileSync(filePath, JSON.stringify(queue, null, 2));
+}
+
+function findItem(queue, id) {
+  for (const [status, key] of Object.entries(STATUS_ARRAYS)) {
+    const index = queue[key].findIndex(item => String(item.id) === String(id));
+    if (index !== -1) return { status, index, item: queue[key][index] };
+  }
+  return null;
+}
+
+function nextId(queue) {
+  const ids = Object.values(STATUS_ARRAYS)
+    .flatMap(key => queue[key])
+    .map(item => parseInt(item.id))
+    .filter(Number.isFinite);
+  return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+}
+
+/**
+ * Add a pending item and return it.
+ */
+function addItem(queue, { title, description = '', type = 'idea' }) {
+  if (!title || !title.trim()) throw new QueueError('Queue items need a title');
+  const item = {
+    id: nextId(queue),
+    type,
+    title: title.trim(),
+    description,
+    addedAt: new Date().toISOString(),
+    status: 'pending'
+  };
+  queue.pendingApproval.push(item);
+  return item;
+}
+
+/**
+ * Apply approve/reject/complete to an item and return it.
+ * Throws QueueError for unknown ids and transitions the state machine doesn't allow.
+ */
+function transitionItem(queue, id, action, { reason = null, note = null } = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw new QueueError(`Unknown queue action "${action}"`);
+
+  const found = findItem(queue, id);
+  if (!found) throw new QueueError(`No queue item with id ${id}`);
+  if (found.status !== transition.from) {
+    throw new QueueError(`Item ${id} is ${found.status}; can only ${action} ${transition.from} items`);
+  }
+
+  const [item] = queue[STATUS_ARRAYS[found.status]].splice(found.index, 1);
+  item.status = transition.to;
+  item[transition.stamp] = new Date().toISOString();
+  if (action === 'reject') item.reason = reason || null;
+  if (note) item.note = note;
+  queue[STATUS_ARRAYS[transition.to]].push(item);
+  return item;
+}
+
+/**
+ * Items in one state (or 'all'). Items written by hand without a `status` get the
+ * state of the array they are in.
+ */
+function listItems(queue, status = 'pending') {
+  if (status !== 'all' && !STATUS_ARRAYS[status]) throw new QueueError(`Unknown queue status "${status}"`);
+  return Object.keys(STATUS_ARRAYS)
+    .filter(s => status === 'all' || s === status)
+    .flatMap(s => queue[STATUS_ARRAYS[s]].map(item => ({ ...item, status: item.status || s })));
+}
+
+module.exports = {
+  QueueError,
+  STATUS_ARRAYS,
+  TRANSITIONS,
+  loadQueue,
+  saveQueue,
+  addItem,
+  transitionItem,
+  listItems
+};
@@ -0,0 +1,139 @@
+/**
+ * Body Metrics History
+ * Keeps one row per day of Oura metrics (resilience, stress/recovery minutes, VO2 max,
+ * plus sleep/readiness/HRV/RHR when the API collector supplies them) and derives
+ * 7/30-day averages and the deviation of the latest day from the personal baseline.
+ */
+
+const fs = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RETENTION_DAYS = 365;
+// Fewer baseline days than this and a deviation isn't worth reporting
+const MIN_BASELINE_DAYS = 5;
+
+// Oura resilience levels, lowest to highest, stored as 1..5 so they can be averaged
+const RESILIENCE_LEVELS = ['limited', 'adequate', 'solid', 'strong', 'exceptional'];
+
+/**
+ * Tracked metrics: key in the stored row, label for the card, and how to read it
+ * from the collector output.
+ */
+const BODY_METRICS = [
+  { key: 'resilience', label: 'resilience', read: d => RESILIENCE_LEVELS.indexOf(d.resilience?.level) + 1 || null },
+  { key: 'stressMinutes', label: 'stress minutes', read: d => d.stress?.stressMinutes ?? null },
+  { key: 'recoveryMinutes', label: 'recovery minutes', read: d => d.stress?.recoveryMinutes ?? null },
+  { key: 'vo2', label: 'VO2 max', read: d => d.vo2?.current || null },
+  { key: 'sleepScore', label: 'sleep score', read: d => d.sleep?.score ?? null },
+  { key: 'readinessScore', label: 'readiness', read: d => d.readiness?.score ?? null },
+  { key: 'hrv', label: 'HRV', read: d => d.hrv?.average ?? null },
+  { key: 'restingHeartRate', label: 'resting HR', read: d => d.restingHeartRate ?? null }
+];
+
+function addDays(day, offset) {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + offset * DAY_MS).toISOString().split('T')[0];
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+function loadBodyHistory(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const history = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { days: history.days || {} };
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Could not load body history: ${err.message}`);
+  }
+  return { days: {} };
+}
+
+function saveBodyHistory(filePath, history) {
+  fs.writeFileSync(filePath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Upsert the row for `day`; later runs on the same day overwrite earlier values.
+ */
+function recordBodyDay(history, day, ouraData) {
+  const row = {};
+  for (const metric of BODY_METRICS) {
+    const value = metric.read(ouraData);
+    if (value !== null && value !== undefined) row[metric.key] = value;
+  }
+  if (Object.keys(row).length > 0) {
+    history.days[day] = { ...history.days[day], ...row };
+  }
+
+  const cutoff = addDays(day, -RETENTION_DAYS);
+  for (const key of Object.keys(history.days)) {
+    if (key < cutoff) delete history.days[key];
+  }
+  return history;
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+/**
+ * Daily values of one metric for the `days` days ending at `endDay` (null where missing).
+ */
+function metricSeries(history, key, endDay, days) {
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = addDays(endDay, -i);
+    series.push({ day, value: history.days[day]?.[key] ?? null });
+  }
+  return series;
+}
+
+/**
+ * Trend summary per metric that has data: 30-day series for the sparkline,
+ * 7/30-day averages, and how far the latest value is from the previous 30 days.
+ */
+function summarizeBodyTrends(history, endDay) {
+  const trends = [];
+
+  for (const metric of BODY_METRICS) {
+    const series = metricSeries(history, metric.key, endDay, 30);
+    const values = series.map(p => p.value).filter(v => v !== null);
+    if (values.length === 0) continue;
+
+    const latest = series[series.length - 1].value;
+    const baseline = metricSeries(history, metric.key, addDays(endDay, -1), 30)
+      .map(p => p.value)
+      .filter(v => v !== null);
+    const baselineAvg = average(baseline);
+
+    trends.push({
+      key: metric.key,
+      label: metric.label,
+      series,
+      latest,
+      avg7: average(series.slice(-7).map(p => p.value).filter(v => v !== null)),
+      avg30: average(values),
+      deviationPct: latest !== null && baseline.length >= MIN_BASELINE_DAYS && baselineAvg
+        ? Math.round(((latest - baselineAvg) / baselineAvg) * 100)
+        : null
+    });
+  }
+
+  return trends;
+}
+
+module.exports = {
+  BODY_METRICS,
+  RESILIENCE_LEVELS,
+  loadBodyHistory,
+  saveBodyHistory,
+  recordBodyDay,
+  summarizeBodyTrends
+};
@@ -0,0 +1,155 @@
+/**
+ * Morning Briefing
+ * Renders the collected dashboard data as a short briefing in Markdown (Telegram /
+ * Slack), plain text or JSON. Each section is a template: a title, a builder that
+ * turns the data into lines, and the line shown when there's nothing to report.
+ * Which sections appear, in what order and how many lines each shows comes from
+ * config.briefing.sections.
+ */
+
+class BriefingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BriefingError';
+  }
+}
+
+const SECTIONS = {
+  health: {
+    title: '💪 Body',
+    empty: 'No Oura data',
+    build: ({ oura }) => {
+      const lines = [];
+      const scores = [
+        oura.readiness?.score != null && `readiness ${oura.readiness.score}`,
+        oura.sleep?.score != null && `sleep ${oura.sleep.score}`,
+        oura.hrv?.average != null && `HRV ${oura.hrv.average}ms`,
+        oura.restingHeartRate != null && `RHR ${oura.restingHeartRate}`
+      ].filter(Boolean);
+      if (scores.length > 0) lines.push(`Scores: ${scores.join(', ')}`);
+      if (oura.resilience?.level && oura.resilience.level !== 'unknown') lines.push(`Resilience: ${oura.resilience.level}`);
+      if (oura.stress?.summary && oura.stress.summary !== 'unknown') lines.push(`Stress: ${oura.stress.summary}`);
+      if (oura.vo2?.current) lines.push(`VO2 max: ${oura.vo2.current}${oura.vo2.trend ? ` ${oura.vo2.trend}` : ''}`);
+      return lines;
+    }
+  },
+  needsYou: {
+    title: '🔴 Needs You',
+    empty: 'Nothing needs you',
+    build: ({ needsYou }) => needsYou.map(item => {
+      const extra = [item.due, item.waiting].filter(Boolean).join(', ');
+      return `[${item.priority || 'P2'}] ${item.title}${extra ? ` (${extra})` : ''}`;
+    })
+  },
+  tasks: {
+    title: '✅ Things',
+    empty: 'No tasks',
+    build: ({ taskCounts, tasks }) => [
+      `Today ${taskCounts.today || 0} · Inbox ${taskCounts.inbox || 0} · Upcoming ${taskCounts.upcoming || 0} · Anytime ${taskCounts.anytime || 0}`,
+      ...tasks.map(t => `${t.title}${t.project ? ` (${t.project})` : ''}`)
+    ]
+  },
+  crons: {
+    title: '🔄 Crons',
+    empty: 'No crons found',
+    build: ({ crons }) => crons.total === 0 ? [] : [
+      `${crons.healthy}/${crons.total} healthy`,
+      ...crons.errors.map(c => `Failing: ${c.name}${c.last ? ` (last run ${c.last})` : ''}`)
+    ]
+  },
+  upcoming: {
+    title: '📅 Coming Up',
+    empty: 'Nothing scheduled',
+    build: ({ upcoming }) => upcoming.map(item => {
+      const when = item.daysAway === 0 ? 'today' : item.daysAway === 1 ? 'tomorrow' : `in ${item.daysAway} days`;
+      return `${item.title} — ${when} (${item.date}${item.time ? ` ${item.time}` : ''})`;
+    })
+  },
+  quarter: {
+    title: '🪨 Quarter',
+    empty: 'No quarter data',
+    build: ({ lifeOS }) => lifeOS.quarter ? [
+      `${lifeOS.quarter.label}: ${lifeOS.quarter.daysLeft} days left`,
+      `Rocks: ${lifeOS.rocksCompleted}/${lifeOS.rocksTotal} done`
+    ] : []
+  },
+  approvals: {
+    title: '📋 Awaiting Approval',
+    empty: 'Approval queue is empty',
+    build: ({ approvalItems }) => approvalItems.map(item => `#${item.id} ${item.title}`)
+  }
+};
+
+const FORMATS = ['markdown', 'text', 'json'];
+const FORMAT_ALIASES = { md: 'markdown', txt: 'text' };
+
+/**
+ * Section entries are ids ("crons") or { id, title, maxItems }. Unknown ids throw,
+ * which is how a mistyped --sections is reported.
+ */
+function normalizeSections(entries, defaultMaxItems) {
+  return entries.map(entry => {
+    const spec = typeof entry === 'string' ? { id: entry } : entry;
+    if (!SECTIONS[spec.id]) {
+      throw new BriefingError(`Unknown briefing section "${spec.id}" (expected one of: ${Object.keys(SECTIONS).join(', ')})`);
+    }
+    return { id: spec.id, title: spec.title || SECTIONS[spec.id].title, maxItems: spec.maxItems ?? defaultMaxItems };
+  });
+}
+
+function resolveFormat(format) {
+  const resolved = FORMAT_ALIASES[format] || format;
+  if (!FORMATS.includes(resolved)) {
+    throw new BriefingError(`Unknown briefing format "${format}" (expected ${FORMATS.join(', ')})`);
+  }
+  return resolved;
+}
+
+function buildBriefing(data, { title, date, sections, maxItems = 5, now = new Date() }) {
+  return {
+    title,
+    date,
+    generatedAt: now.toISOString(),
+    sections: normalizeSections(sections, maxItems).map(spec => {
+      const lines = SECTIONS[spec.id].build(data);
+      return { id: spec.id, title: spec.title, items: lines.slice(0, spec.maxItems), more: Math.max(lines.length - spec.maxItems, 0) };
+    })
+  };
+}
+
+// Telegram's Markdown treats these as formatting; a backslash makes them literal
+function escapeMarkdown(text) {
+  return text.replace(/([_*`[])/g, '\\$1');
+}
+
+function renderSections(briefing, { heading, item, escape }) {
+  const blocks = [heading(`${briefing.title} — ${briefing.date}`)];
+  for (const section of briefing.sections) {
+    const items = section.items.length > 0 ? section.items : [SECTIONS[section.id].empty];
+    const lines = items.map(text => item(escape(text)));
+    if (section.more > 0) lines.push(item(`…and ${section.more} more`));
+    blocks.push([heading(section.title), ...lines].join('\n'));
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Render a briefing (from buildBriefing) as markdown, text or json (md/txt accepted).
+ */
+function renderBriefing(briefing, format = 'markdown') {
+  const resolved = resolveFormat(format);
+  if (resolved === 'json') return JSON.stringify(briefing, null, 2) + '\n';
+  if (resolved === 'markdown') {
+    return renderSections(briefing, { heading: text => `*${escapeMarkdown(text)}*`, item: text => `• ${text}`, escape: escapeMarkdown });
+  }
+  return renderSections(briefing, { heading: text => text.toUpperCase(), item: text => `- ${text}`, escape: text => text });
+}
+
+module.exports = {
+  BriefingError,
+  SECTIONS,
+  normalizeSections,
+  resolveFormat,
+  buildBriefing,
+  renderBriefing
+};
@@ -0,0 +1,487 @@
+/**
+ * Dashboard Configuration
+ * Resolves workspace paths, external commands, timezone and section limits.
+ *
+ * Precedence (lowest to highest):
+ *   1. Built-in defaults below
+ *   2. Config file: --config <path>, else $DASHBOARD_CONFIG, else dashboard.config.json next to this file
+ *   3. Environment overrides: DASHBOARD_<SECTION>_<KEY>, e.g. DASHBOARD_WORKSPACE,
+ *      DASHBOARD_PATHS_MEMORY_DIR, DASHBOARD_COMMANDS_SQLITE3, DASHBOARD_LIMITS_ACTIVITY_ITEMS,
+ *      DASHBOARD_OURA_TOKEN (keeps the token out of the config file). List values such as
+ *      DASHBOARD_THINGS_PRIORITY_TAGS are comma-separated.
+ *
+ * Relative paths resolve against `workspace`, except the dashboard's own data files
+ * (html, state, activityLog, approvalQueue, commandQueue, historyDir, alertsLog, calendarFeed, snapshotsDir, historyPage)
+ * which resolve against
+ * `paths.dashboardDir`. `upcoming.icsFiles` also resolve against `workspace`. A leading `~`
+ * expands to the home directory; empty paths stay empty.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SECTIONS } = require('./briefing');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'dashboard.config.json');
+
+const DEFAULTS = {
+  workspace: '/Users/Hal/clawd',
+  timezone: 'America/Los_Angeles',
+  paths: {
+    dashboardDir: 'dashboard',
+    memoryDir: 'memory',
+    notesDir: 'notes',
+    html: 'index.html',
+    state: 'state.json',
+    activityLog: 'activity-log.json',
+    approvalQueue: 'approval-queue.json',
+    commandQueue: 'command-queue.json',
+    historyDir: 'history',
+    alertsLog: 'alerts.jsonl',
+    calendarFeed: 'dashboard.ics',
+    // Dated copies of the rendered dashboard, browsed through historyPage
+    snapshotsDir: 'snapshots',
+    historyPage: 'history.html',
+    lifeVto: 'notes/projects/life-vto.md',
+    awaitingResponses: 'notes/areas/awaiting-responses.md',
+    sessionsStore: '~/.clawdbot/agents/main/sessions/sessions.json',
+    // Empty: auto-discover main.sqlite in the Things group container
+    thingsDatabase: '',
+    // things.py / things-cli JSON export, used instead of the database when set
+    thingsExport: ''
+  },
+  commands: {
+    clawdbot: 'clawdbot',
+    sqlite3: 'sqlite3',
+    ouraBodyStats: 'scripts/get-oura-body-stats.sh'
+  },
+  limits: {
+    activityItems: 50,
+    activityFeed: 8,
+    agents: 5,
+    crons: 12,
+    activeWork: 4,
+    stateActiveWork: 5,
+    needsYou: 5,
+    needsYouExisting: 2,
+    priorityTasks: 3,
+    dailyLogs: 3,
+    dailyLogActivities: 25,
+    cronHistoryDays: 30,
+    scorecardWeeks: 8,
+    upcoming: 5,
+    overnightItems: 12,
+    finishedAgents: 5,
+    spendCrons: 5
+  },
+  oura: {
+    // Personal access token from cloud.ouraring.com; empty uses commands.ouraBodyStats instead
+    token: '',
+    baseUrl: 'https://api.ouraring.com',
+    lookbackDays: 7
+  },
+  things: {
+    // auto (export if present, else database), sqlite or json
+    source: 'auto',
+    // Tags that make a to-do P1 regardless of its deadline (case-insensitive)
+    priorityTags: ['Priority', 'Urgent'],
+    // Tags that mark a to-do as blocked on the Active Work card
+    blockedTags: ['Waiting', 'Blocked'],
+    // Completed to-dos younger than this stay in the logbook list
+    completedDays: 7
+  },
+  upcoming: {
+    // Calendar exports or subscription caches merged into Coming Up (relative to workspace)
+    icsFiles: [],
+    lookaheadDays: 60,
+    // daysAway at or below these gets the soon/urgent colour
+    soonDays: 7,
+    urgentDays: 1
+  },
+  overnight: {
+    // Local times (HH:MM, 24h) bounding the Overnight view of the activity feed
+    bedtime: '23:00',
+    wakeTime: '07:00'
+  },
+  context: {
+    // Raise a Needs You item when the main session's memory flush or compaction is forecast within this many hours
+    horizonHours: 2,
+    // Burn rate is measured over the samples taken in this window
+    rateWindowHours: 3,
+    // Compaction starts this many tokens below the context limit; the memory flush runs memoryFlushTokens earlier
+    reserveTokens: 20000,
+    memoryFlushTokens: 4000,
+    retentionDays: 7
+  },
+  pricing: {
+    // USD per million tokens by model id prefix, added to (or overriding) the rates in spend.js,
+    // e.g. { "gpt-4o": { "input": 2.5, "output": 10, "cacheRead": 1.25, "cacheWrite": 0 } }
+    models: {},
+    // Daily estimated spend (USD) that turns the Spend card red; 0 turns the budget off
+    dailyBudget: 0,
+    // Share of the daily budget (percent) that turns it orange
+    warnPercent: 80
+  },
+  snapshots: {
+    // Daily snapshots older than this are deleted; 0 keeps them forever
+    retentionDays: 90,
+    // Upper bound on stored snapshots (oldest go first); 0 means no cap
+    maxSnapshots: 0
+  },
+  briefing: {
+    title: 'Morning Briefing',
+    // markdown (Telegram/Slack), text or json
+    format: 'markdown',
+    // In order; ids are the keys of SECTIONS in briefing.js, or { "id": "crons", "title": "...", "maxItems": 3 }
+    sections: ['health', 'needsYou', 'tasks', 'crons', 'upcoming', 'quarter'],
+    // Lines per section unless the section sets its own maxItems
+    maxItems: 5
+  },
+  calendarFeed: {
+    name: 'Hal Dashboard',
+    // Cron ids or names whose next run goes into dashboard.ics (needs `cron list --json`)
+    crons: []
+  },
+  awaiting: {
+    slaDays: 3,
+    recheckDays: 2,
+    // Per-channel SLA overrides, e.g. { "Email": 5, "Slack": 1 }
+    channelSlaDays: {}
+  },
+  lifeOS: {
+    // Month (1-12) the fiscal year starts in; quarters are counted from it
+    fiscalYearStartMonth: 1,
+    // Rock number -> goal area(s) for rocks tables without a Goal column, e.g. { "1": "Income", "3": ["Income", "Freedom"] }.
+    // Rocks in neither can carry a tag in their text instead: "#income", "[Income]", "(Life Quality)"
+    rockGoals: {}
+  },
+  alerts: {
+    contextPercent: 85,
+    ouraStaleDays: 2,
+    awaitingStaleDays: 3,
+    cooldownMinutes: 360,
+    webhookUrl: '',
+    messageTarget: '',
+    messageChannel: ''
+  },
+  server: {
+    port: 3000,
+    // Interface to listen on. 0.0.0.0 opens the dashboard, and its approve/command API, to the network
+    host: '127.0.0.1',
+    // Other names the dashboard is reached by (a LAN IP, a Tailscale name); requests whose Host or
+    // Origin names anything else are refused
+    allowedHosts: []
+  }
+};
+
+const BRIEFING_SECTIONS = Object.keys(SECTIONS);
+const BRIEFING_FORMATS = ['markdown', 'md', 'text', 'txt', 'json'];
+
+const DASHBOARD_FILES = ['html', 'state', 'activityLog', 'approvalQueue', 'commandQueue', 'historyDir', 'alertsLog', 'calendarFeed', 'snapshotsDir', 'historyPage'];
+
+// Paths the updater cannot run without; everything else is an optional data source
+const REQUIRED_DIRS = ['workspace', 'paths.dashboardDir'];
+const REQUIRED_FILES = ['paths.html'];
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeConfig(base, override, keyPath = '') {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const fullKey = keyPath ? `${keyPath}.${key}` : key;
+    if (!(key in base)) {
+      console.log(`   ⚠️ Unknown config key "${fullKey}" ignored`);
+      continue;
+    }
+    // An empty default object is a free-form map (e.g. awaiting.channelSlaDays): take it as given
+    const freeForm = isPlainObject(base[key]) && Object.keys(base[key]).length === 0;
+    result[key] = isPlainObject(base[key]) && !freeForm ? mergeConfig(base[key], value, fullKey) : value;
+  }
+  return result;
+}
+
+function envName(keyPath) {
+  return 'DASHBOARD_' + keyPath
+    .map(part => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase())
+    .join('_');
+}
+
+function applyEnvOverrides(config, env, keyPath = []) {
+  const result = { ...config };
+  for (const [key, value] of Object.entries(config)) {
+    const childPath = [...keyPath, key];
+    if (isPlainObject(value)) {
+      result[key] = applyEnvOverrides(value, env, childPath);
+      continue;
+    }
+    const name = envName(childPath);
+    if (env[name] === undefined || env[name] === '') continue;
+    if (typeof value === 'number') {
+      const parsed = Number(env[name]);
+      if (!Number.isFinite(parsed)) {
+        throw new ConfigError(`${name} must be a number, got "${env[name]}"`);
+      }
+      result[key] = parsed;
+    } else if (Array.isArray(value)) {
+      result[key] = env[name].split(',').map(item => item.trim()).filter(Boolean);
+    } else {
+      result[key] = env[name];
+    }
+  }
+  return result;
+}
+
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+function resolvePath(workspace, p) {
+  return path.resolve(workspace, expandHome(p));
+}
+
+// Commands are shell strings; only resolve the leading token when it looks like a path
+function resolveCommand(workspace, command) {
+  const [bin, ...args] = command.trim().split(/\s+/);
+  if (!bin.includes('/') && !bin.startsWith('~')) return command.trim();
+  return [resolvePath(workspace, bin), ...args].join(' ');
+}
+
+function getConfigPath(argv, env) {
+  const flagIndex = argv.indexOf('--config');
+  if (flagIndex !== -1) {
+    if (!argv[flagIndex + 1]) throw new ConfigError('--config requires a file path');
+    return { file: path.resolve(argv[flagIndex + 1]), explicit: true };
+  }
+  if (env.DASHBOARD_CONFIG) {
+    return { file: path.resolve(expandHome(env.DASHBOARD_CONFIG)), explicit: true };
+  }
+  return { file: DEFAULT_CONFIG_PATH, explicit: false };
+}
+
+function readConfigFile(file, explicit) {
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new ConfigError(`Config file not found: ${file}`);
+    return {};
+  }
+  try {
+    return file.endsWith('.js') ? require(file) : JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ConfigError(`Could not read config file ${file}: ${err.message}`);
+  }
+}
+
+function getByPath(obj, keyPath) {
+  return keyPath.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+function validateConfig(config) {
+  const problems = [];
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+  } catch (err) {
+    problems.push(`timezone "${config.timezone}" is not a valid IANA time zone`);
+  }
+
+  for (const [key, value] of Object.entries(config.limits)) {
+    if (!Number.isInteger(value) || value < 0) {
+      problems.push(`limits.${key} must be a non-negative integer, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (!/^https?:\/\//.test(config.oura.baseUrl)) {
+    problems.push(`oura.baseUrl must be an http(s) URL, got "${config.oura.baseUrl}"`);
+  }
+  if (!Number.isInteger(config.oura.lookbackDays) || config.oura.lookbackDays < 1) {
+    problems.push(`oura.lookbackDays must be a positive integer, got ${JSON.stringify(config.oura.lookbackDays)}`);
+  }
+
+  if (!['auto', 'sqlite', 'json'].includes(config.things.source)) {
+    problems.push(`things.source must be auto, sqlite or json, got ${JSON.stringify(config.things.source)}`);
+  }
+  if (config.things.source === 'json' && !config.paths.thingsExport) {
+    problems.push('things.source is json but paths.thingsExport is not set');
+  }
+  for (const key of ['priorityTags', 'blockedTags']) {
+    const tags = config.things[key];
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+      problems.push(`things.${key} must be a list of tag names, got ${JSON.stringify(tags)}`);
+    }
+  }
+  if (!Number.isInteger(config.things.completedDays) || config.things.completedDays < 0) {
+    problems.push(`things.completedDays must be a non-negative integer, got ${JSON.stringify(config.things.completedDays)}`);
+  }
+
+  if (!Array.isArray(config.upcoming.icsFiles) || !config.upcoming.icsFiles.every(f => typeof f === 'string')) {
+    problems.push(`upcoming.icsFiles must be a list of file paths, got ${JSON.stringify(config.upcoming.icsFiles)}`);
+  }
+  for (const key of ['lookaheadDays', 'soonDays', 'urgentDays']) {
+    if (!Number.isInteger(config.upcoming[key]) || config.upcoming[key] < 0) {
+      problems.push(`upcoming.${key} must be a non-negative integer, got ${JSON.stringify(config.upcoming[key])}`);
+    }
+  }
+
+  for (const key of ['bedtime', 'wakeTime']) {
+    if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(config.overnight[key])) {
+      problems.push(`overnight.${key} must be a 24h time like "23:00", got ${JSON.stringify(config.overnight[key])}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(config.context)) {
+    if (typeof value !== 'number' || value < 0) {
+      problems.push(`context.${key} must be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (!(config.context.rateWindowHours > 0)) {
+    problems.push('context.rateWindowHours must be greater than 0');
+  }
+
+  for (const key of ['dailyBudget', 'warnPercent']) {
+    if (typeof config.pricing[key] !== 'number' || config.pricing[key] < 0) {
+      problems.push(`pricing.${key} must be a non-negative number, got ${JSON.stringify(config.pricing[key])}`);
+    }
+  }
+  for (const [model, rates] of Object.entries(config.pricing.models || {})) {
+    const valid = isPlainObject(rates) && Object.entries(rates).every(([kind, rate]) =>
+      ['input', 'output', 'cacheRead', 'cacheWrite'].includes(kind) && typeof rate === 'number' && rate >= 0);
+    if (!valid) {
+      problems.push(`pricing.models.${model} must map input/output/cacheRead/cacheWrite to USD per million tokens, got ${JSON.stringify(rates)}`);
+    }
+  }
+
+  for (const key of ['retentionDays', 'maxSnapshots']) {
+    if (!Number.isInteger(config.snapshots[key]) || config.snapshots[key] < 0) {
+      problems.push(`snapshots.${key} must be a non-negative integer, got ${JSON.stringify(config.snapshots[key])}`);
+    }
+  }
+
+  if (!BRIEFING_FORMATS.includes(config.briefing.format)) {
+    problems.push(`briefing.format must be markdown, text or json, got ${JSON.stringify(config.briefing.format)}`);
+  }
+  if (!Number.isInteger(config.briefing.maxItems) || config.briefing.maxItems < 1) {
+    problems.push(`briefing.maxItems must be a positive integer, got ${JSON.stringify(config.briefing.maxItems)}`);
+  }
+  if (!Array.isArray(config.briefing.sections)) {
+    problems.push(`briefing.sections must be a list, got ${JSON.stringify(config.briefing.sections)}`);
+  } else {
+    for (const entry of config.briefing.sections) {
+      const id = isPlainObject(entry) ? entry.id : entry;
+      const maxItems = isPlainObject(entry) ? entry.maxItems : undefined;
+      if (!BRIEFING_SECTIONS.includes(id)) {
+        problems.push(`briefing.sections entry ${JSON.stringify(entry)} must be one of ${BRIEFING_SECTIONS.join(', ')} (or { id, title, maxItems })`);
+      } else if (maxItems !== undefined && (!Number.isInteger(maxItems) || maxItems < 1)) {
+        problems.push(`briefing.sections ${id}.maxItems must be a positive integer, got ${JSON.stringify(maxItems)}`);
+      }
+    }
+  }
+
+  if (!Array.isArray(config.calendarFeed.crons) || !config.calendarFeed.crons.every(c => typeof c === 'string')) {
+    problems.push(`calendarFeed.crons must be a list of cron ids or names, got ${JSON.stringify(config.calendarFeed.crons)}`);
+  }
+
+  const slaDays = { slaDays: config.awaiting.slaDays, recheckDays: config.awaiting.recheckDays };
+  for (const [channel, days] of Object.entries(config.awaiting.channelSlaDays || {})) {
+    slaDays[`channelSlaDays.${channel}`] = days;
+  }
+  for (const [key, value] of Object.entries(slaDays)) {
+    if (typeof value !== 'number' || value < 0) {
+      problems.push(`awaiting.${key} must be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  const startMonth = config.lifeOS.fiscalYearStartMonth;
+  if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+    problems.push(`lifeOS.fiscalYearStartMonth must be a month number 1-12, got ${JSON.stringify(startMonth)}`);
+  }
+  for (const [rock, areas] of Object.entries(config.lifeOS.rockGoals || {})) {
+    if (![].concat(areas).every(area => typeof area === 'string' && area.trim())) {
+      problems.push(`lifeOS.rockGoals.${rock} must be a goal area name or a list of them, got ${JSON.stringify(areas)}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(config.alerts)) {
+    if (typeof DEFAULTS.alerts[key] === 'number' && (typeof value !== 'number' || value < 0)) {
+      problems.push(`alerts.${key} must be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (config.alerts.webhookUrl && !/^https?:\/\//.test(config.alerts.webhookUrl)) {
+    problems.push(`alerts.webhookUrl must be an http(s) URL, got "${config.alerts.webhookUrl}"`);
+  }
+
+  if (typeof config.server.host !== 'string' || !config.server.host.trim()) {
+    problems.push(`server.host must be an interface address, got ${JSON.stringify(config.server.host)}`);
+  }
+  if (!config.server.allowedHosts.every(host => typeof host === 'string' && host.trim())) {
+    problems.push(`server.allowedHosts must be a list of host names, got ${JSON.stringify(config.server.allowedHosts)}`);
+  }
+
+  for (const key of REQUIRED_DIRS) {
+    const dir = getByPath(config, key);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      problems.push(`${key} directory does not exist: ${dir}`);
+    }
+  }
+  for (const key of REQUIRED_FILES) {
+    const file = getByPath(config, key);
+    if (!fs.existsSync(file)) {
+      problems.push(`${key} file does not exist: ${file}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid dashboard config (${config.file || 'built-in defaults'}):\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Load, merge and validate the dashboard config.
+ * Throws ConfigError with a readable message when anything required is missing.
+ */
+function loadConfig({ argv = process.argv, env = process.env } = {}) {
+  const { file, explicit } = getConfigPath(argv, env);
+  const fromFile = readConfigFile(file, explicit);
+  const merged = applyEnvOverrides(mergeConfig(DEFAULTS, fromFile), env);
+
+  const workspace = path.resolve(expandHome(merged.workspace));
+  const dashboardDir = resolvePath(workspace, merged.paths.dashboardDir);
+  const paths = {};
+  for (const [key, value] of Object.entries(merged.paths)) {
+    paths[key] = value ? resolvePath(DASHBOARD_FILES.includes(key) ? dashboardDir : workspace, value) : '';
+  }
+  const commands = {};
+  for (const [key, value] of Object.entries(merged.commands)) {
+    commands[key] = resolveCommand(workspace, value);
+  }
+
+  const upcoming = {
+    ...merged.upcoming,
+    icsFiles: [].concat(merged.upcoming.icsFiles).map(file => (typeof file === 'string' ? resolvePath(workspace, file) : file))
+  };
+
+  const config = {
+    ...merged,
+    workspace,
+    paths,
+    commands,
+    upcoming,
+    file: fs.existsSync(file) ? file : null
+  };
+  validateConfig(config);
+  return config;
+}
+
+module.exports = {
+  ConfigError,
+  DEFAULTS,
+  loadConfig
+};
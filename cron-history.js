@@ -0,0 +1,266 @@
+/**
+ * Cron Run History
+ * Appends each dashboard run's cron snapshot to a local store (keyed by cron id)
+ * and derives success rates, failure streaks, flapping and stalled crons from it.
+ *
+ * `clawdbot cron list` only reports relative ages ("51m ago", "3h ago"), so each
+ * snapshot stores an estimated absolute last-run time plus the precision of that
+ * estimate. Consecutive snapshots whose estimates agree within that precision are
+ * treated as observations of the same run.
+ */
+
+const fs = require('fs');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const FLAP_WINDOW_DAYS = 7;
+const FLAP_MIN_TRANSITIONS = 3;
+const STALL_FACTOR = 1.5;
+const STALL_GRACE_MINUTES = 30;
+
+const SUCCESS_STATUSES = ['ok', 'idle'];
+const FAILURE_STATUSES = ['error'];
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse a relative age like "just now", "51m", "3h ago" or "2d ago".
+ * Returns { minutes, precision } (both in minutes) or null for "-"/"never"/unknown.
+ */
+function parseAgeMinutes(ageStr) {
+  if (!ageStr) return null;
+  if (ageStr === 'just now') return { minutes: 0, precision: 1 };
+
+  const match = ageStr.match(/(\d+)\s*(s|m|h|d)/);
+  if (!match) return null;
+
+  const num = parseInt(match[1]);
+  const unitMinutes = { s: 1 / 60, m: 1, h: 60, d: 1440 }[match[2]];
+  return { minutes: num * unitMinutes, precision: Math.max(1, unitMinutes) };
+}
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Expand one cron field ("1-5", "9-17/2", "mon-fri", a star or stepped star, or a list of those)
+ * into the sorted values it matches within [min, max]; null if it can't be read.
+ */
+function expandCronField(field, min, max) {
+  const valueOf = token => /^\d+$/.test(token) ? parseInt(token) : DAY_NAMES.indexOf(token.slice(0, 3).toLowerCase());
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : parseInt(stepStr);
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(valueOf);
+    if (to === undefined) to = stepStr === undefined ? from : max;
+    if (!(step > 0) || !(from >= min) || !(to >= from)) return null;
+
+    // Day-of-week 7 is Sunday again
+    for (let v = from; v <= to; v += step) values.add(v > max ? min : v);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Shortest and longest gap (minutes) between runs for a schedule string.
+ * Understands "every 30m"/"every 2h" and 5-field cron expressions; null otherwise.
+ * "0 9-17 * * *" runs every 60 minutes but sits idle 16 hours overnight, so both matter.
+ */
+function scheduleGaps(schedule) {
+  if (!schedule) return null;
+
+  const every = schedule.match(/every\s+(\d+)\s*(m|h|d)/i);
+  if (every) {
+    const minutes = parseInt(every[1]) * { m: 1, h: 60, d: 1440 }[every[2].toLowerCase()];
+    return { shortest: minutes, longest: minutes };
+  }
+
+  const cronMatch = schedule.match(/(?:^|\s)([\d*,/-]+)\s+([\d*,/-]+)\s+([\d*,/-]+)\s+([\d*,/-]+)\s+([\d*,/A-Za-z-]+)/);
+  if (!cronMatch) return null;
+  const [, minute, hour, dayOfMonth, , dayOfWeek] = cronMatch;
+
+  const minutes = expandCronField(minute, 0, 59);
+  const hours = expandCronField(hour, 0, 23);
+  const days = dayOfWeek === '*' ? [0, 1, 2, 3, 4, 5, 6] : expandCronField(dayOfWeek, 0, 6);
+  if (!minutes || !hours || !days) return null;
+
+  // Day-of-month schedules don't line up with weeks: spread the runs over a month
+  if (dayOfMonth !== '*' && dayOfWeek === '*') {
+    const monthDays = expandCronField(dayOfMonth, 1, 31);
+    if (!monthDays) return null;
+    const minutes30d = Math.round((30 * 1440) / (monthDays.length * hours.length * minutes.length));
+    return { shortest: minutes30d, longest: minutes30d };
+  }
+
+  // Lay one week of runs out and measure the gaps, wrapping into the next week
+  const runs = [];
+  for (const d of days) {
+    for (const h of hours) {
+      for (const m of minutes) runs.push(d * 1440 + h * 60 + m);
+    }
+  }
+  runs.sort((a, b) => a - b);
+  const gaps = runs.map((run, i) => (i + 1 < runs.length ? runs[i + 1] : runs[0] + 7 * 1440) - run);
+  return { shortest: Math.min(...gaps), longest: Math.max(...gaps) };
+}
+
+/**
+ * Expected minutes between runs for a schedule string (the shortest gap); null if unknown.
+ */
+function scheduleIntervalMinutes(schedule) {
+  return scheduleGaps(schedule)?.shortest ?? null;
+}
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+function loadCronHistory(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const history = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { crons: history.crons || {} };
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Could not load cron history: ${err.message}`);
+  }
+  return { crons: {} };
+}
+
+function saveCronHistory(filePath, history) {
+  fs.writeFileSync(filePath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Append one snapshot per cron and drop snapshots older than retentionDays.
+ */
+function recordCronSnapshot(history, crons, now, retentionDays) {
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+
+  for (const cron of crons) {
+    if (!cron.id) continue;
+    const entry = history.crons[cron.id] || { name: cron.name, schedule: cron.schedule, snapshots: [] };
+    entry.name = cron.name;
+    entry.schedule = cron.schedule;
+
+    const age = parseAgeMinutes(cron.last);
+    entry.snapshots.push({
+      at: now.toISOString(),
+      status: cron.status,
+      lastRunAt: age ? new Date(now.getTime() - age.minutes * MINUTE_MS).toISOString() : null,
+      precision: age ? age.precision : null
+    });
+    history.crons[cron.id] = entry;
+  }
+
+  for (const [id, entry] of Object.entries(history.crons)) {
+    entry.snapshots = entry.snapshots.filter(s => new Date(s.at).getTime() >= cutoff);
+    if (entry.snapshots.length === 0) delete history.crons[id];
+  }
+
+  return history;
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+/**
+ * Collapse snapshots into distinct runs. A run's status is the latest
+ * non-transient status observed for it.
+ */
+function groupRuns(snapshots) {
+  const runs = [];
+
+  for (const snapshot of snapshots) {
+    if (!snapshot.lastRunAt) continue;
+    const ranAt = new Date(snapshot.lastRunAt).getTime();
+    const previous = runs[runs.length - 1];
+    const tolerance = Math.max(snapshot.precision || 1, previous?.precision || 1) * MINUTE_MS;
+
+    if (previous && Math.abs(ranAt - previous.ranAt) <= tolerance) {
+      // Same run observed again; refine with the more precise estimate
+      if (snapshot.precision <= previous.precision) {
+        previous.ranAt = ranAt;
+        previous.precision = snapshot.precision;
+      }
+      if (snapshot.status !== 'running' && snapshot.status !== 'unknown') {
+        previous.status = snapshot.status;
+      }
+    } else {
+      runs.push({ ranAt, precision: snapshot.precision || 1, status: snapshot.status });
+    }
+  }
+
+  return runs;
+}
+
+function successRate(runs, since) {
+  const finished = runs.filter(r => r.ranAt >= since &&
+    (SUCCESS_STATUSES.includes(r.status) || FAILURE_STATUSES.includes(r.status)));
+  if (finished.length === 0) return null;
+  const ok = finished.filter(r => SUCCESS_STATUSES.includes(r.status)).length;
+  return Math.round((ok / finished.length) * 100);
+}
+
+function medianGapMinutes(runs) {
+  if (runs.length < 3) return null;
+  const gaps = runs.slice(1).map((r, i) => (r.ranAt - runs[i].ranAt) / MINUTE_MS).sort((a, b) => a - b);
+  return Math.round(gaps[Math.floor(gaps.length / 2)]);
+}
+
+/**
+ * Derive health metrics for one cron from its stored snapshots.
+ */
+function summarizeCron(entry, now) {
+  const nowMs = now.getTime();
+  const runs = groupRuns(entry.snapshots);
+
+  let failureStreak = 0;
+  for (let i = runs.length - 1; i >= 0 && FAILURE_STATUSES.includes(runs[i].status); i--) {
+    failureStreak++;
+  }
+
+  const recentOutcomes = runs
+    .filter(r => r.ranAt >= nowMs - FLAP_WINDOW_DAYS * DAY_MS)
+    .map(r => SUCCESS_STATUSES.includes(r.status) ? 'ok' : FAILURE_STATUSES.includes(r.status) ? 'error' : null)
+    .filter(Boolean);
+  const transitions = recentOutcomes.filter((outcome, i) => i > 0 && outcome !== recentOutcomes[i - 1]).length;
+
+  const gaps = scheduleGaps(entry.schedule);
+  const expectedInterval = gaps?.shortest || medianGapMinutes(runs);
+  // Judge stalls against the longest scheduled gap so overnight/weekend pauses don't count
+  const allowedGap = gaps?.longest || expectedInterval;
+  const lastRun = runs[runs.length - 1];
+  const latest = entry.snapshots[entry.snapshots.length - 1];
+  const minutesSinceRun = lastRun ? (nowMs - lastRun.ranAt) / MINUTE_MS : null;
+  const stalled = Boolean(
+    allowedGap && lastRun && latest?.status !== 'running' &&
+    minutesSinceRun > allowedGap * STALL_FACTOR + STALL_GRACE_MINUTES
+  );
+
+  return {
+    successRate7d: successRate(runs, nowMs - 7 * DAY_MS),
+    successRate30d: successRate(runs, nowMs - 30 * DAY_MS),
+    runs7d: runs.filter(r => r.ranAt >= nowMs - 7 * DAY_MS).length,
+    failureStreak,
+    flapping: transitions >= FLAP_MIN_TRANSITIONS,
+    transitions7d: transitions,
+    stalled,
+    expectedIntervalMinutes: expectedInterval,
+    lastRunAt: lastRun ? new Date(lastRun.ranAt).toISOString() : null
+  };
+}
+
+module.exports = {
+  loadCronHistory,
+  saveCronHistory,
+  recordCronSnapshot,
+  summarizeCron,
+  parseAgeMinutes,
+  scheduleIntervalMinutes
+};
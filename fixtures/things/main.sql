@@ -0,0 +1,91 @@
+-- Things 3 fixture database: the subset of the real schema that things.js reads.
+-- Dates are relative to the day the database is built, so lists and deadlines stay meaningful:
+--   sqlite3 /tmp/things.sqlite < fixtures/things/main.sql
+--   DASHBOARD_PATHS_THINGS_DATABASE=/tmp/things.sqlite node update-dashboard.js --dry-run
+
+CREATE TABLE TMArea (uuid TEXT PRIMARY KEY, title TEXT, visible INTEGER, "index" INTEGER);
+CREATE TABLE TMTag (uuid TEXT PRIMARY KEY, title TEXT, shortcut TEXT, parent TEXT, "index" INTEGER);
+CREATE TABLE TMTask (
+  uuid TEXT PRIMARY KEY,
+  type INTEGER,            -- 0 to-do, 1 project, 2 heading
+  status INTEGER,          -- 0 incomplete, 2 canceled, 3 completed
+  trashed INTEGER,
+  title TEXT,
+  notes TEXT,
+  start INTEGER,           -- 0 inbox, 1 anytime, 2 someday
+  startDate INTEGER,       -- packed: year << 16 | month << 12 | day << 7
+  deadline INTEGER,
+  stopDate REAL,           -- Unix seconds
+  creationDate REAL,
+  "index" INTEGER,
+  todayIndex INTEGER,
+  area TEXT,
+  project TEXT,
+  heading TEXT
+);
+CREATE TABLE TMTaskTag (tasks TEXT, tags TEXT);
+CREATE TABLE TMChecklistItem (uuid TEXT PRIMARY KEY, title TEXT, status INTEGER, stopDate REAL, "index" INTEGER, task TEXT);
+
+-- Packed dates for today -10 .. +30 days
+CREATE TEMP TABLE fixture_days AS
+WITH RECURSIVE offsets(n) AS (SELECT -10 UNION ALL SELECT n + 1 FROM offsets WHERE n < 30)
+SELECT n AS offset,
+  (CAST(strftime('%Y', 'now', 'localtime', n || ' days') AS INTEGER) << 16)
+  | (CAST(strftime('%m', 'now', 'localtime', n || ' days') AS INTEGER) << 12)
+  | (CAST(strftime('%d', 'now', 'localtime', n || ' days') AS INTEGER) << 7) AS packed
+FROM offsets;
+
+INSERT INTO TMArea VALUES
+  ('area-work', 'Work', 1, 0),
+  ('area-personal', 'Personal', 1, 1);
+
+INSERT INTO TMTag VALUES
+  ('tag-priority', 'Priority', NULL, NULL, 0),
+  ('tag-errand', 'Errand', NULL, NULL, 1),
+  ('tag-waiting', 'Waiting', NULL, NULL, 2);
+
+-- Projects and a heading
+INSERT INTO TMTask (uuid, type, status, trashed, title, notes, start, "index", todayIndex, area) VALUES
+  ('proj-launch', 1, 0, 0, 'Course Launch', '', 1, 0, 0, 'area-work'),
+  ('proj-house', 1, 0, 0, 'House Projects', '', 1, 1, 0, 'area-personal');
+INSERT INTO TMTask (uuid, type, status, trashed, title, notes, start, "index", todayIndex, project) VALUES
+  ('head-emails', 2, 0, 0, 'Email sequence', '', 1, 0, 0, 'proj-launch');
+-- The launch project is scheduled for today, so it shows up in Today with its progress
+UPDATE TMTask SET startDate = (SELECT packed FROM fixture_days WHERE offset = 0), todayIndex = 0 WHERE uuid = 'proj-launch';
+
+-- To-dos
+INSERT INTO TMTask (uuid, type, status, trashed, title, notes, start, startDate, deadline, stopDate, creationDate, "index", todayIndex, area, project, heading)
+SELECT uuid, 0, status, trashed, title, notes, start,
+  (SELECT packed FROM fixture_days WHERE offset = start_offset),
+  (SELECT packed FROM fixture_days WHERE offset = deadline_offset),
+  CASE WHEN stop_days IS NULL THEN NULL ELSE strftime('%s', 'now', stop_days || ' days') END,
+  strftime('%s', 'now', '-14 days'),
+  idx, today_idx, area, project, heading
+FROM (
+  SELECT 'todo-sales-page' AS uuid, 0 AS status, 0 AS trashed, 'Finish sales page copy' AS title, 'Hero + FAQ left' AS notes,
+    1 AS start, 0 AS start_offset, 0 AS deadline_offset, NULL AS stop_days, 0 AS idx, 1 AS today_idx,
+    NULL AS area, 'proj-launch' AS project, NULL AS heading
+  UNION ALL SELECT 'todo-welcome-email', 0, 0, 'Draft welcome email', '', 1, -1, 2, NULL, 1, 2, NULL, NULL, 'head-emails'
+  UNION ALL SELECT 'todo-taxes', 0, 0, 'File quarterly estimated taxes', '', 1, NULL, -1, NULL, 2, 3, 'area-personal', NULL, NULL
+  UNION ALL SELECT 'todo-call-mom', 0, 0, 'Call Mom', '', 1, 0, NULL, NULL, 3, 4, 'area-personal', NULL, NULL
+  UNION ALL SELECT 'todo-contractor', 0, 0, 'Book contractor walkthrough', '', 2, 3, 10, NULL, 0, 0, NULL, 'proj-house', NULL
+  UNION ALL SELECT 'todo-podcast', 0, 0, 'Pitch podcast guests', '', 1, NULL, 5, NULL, 4, 0, 'area-work', NULL, NULL
+  UNION ALL SELECT 'todo-hardware', 0, 0, 'Pick up shelf brackets', '', 1, NULL, NULL, NULL, 5, 0, NULL, 'proj-house', NULL
+  UNION ALL SELECT 'todo-inbox-idea', 0, 0, 'Idea: affiliate program', '', 0, NULL, NULL, NULL, 0, 0, NULL, NULL, NULL
+  UNION ALL SELECT 'todo-spanish', 0, 0, 'Learn Spanish', '', 2, NULL, NULL, NULL, 0, 0, 'area-personal', NULL, NULL
+  UNION ALL SELECT 'todo-done-outline', 3, 0, 'Outline module 1', '', 1, NULL, NULL, -1, 6, 0, NULL, 'proj-launch', NULL
+  UNION ALL SELECT 'todo-canceled-venue', 2, 0, 'Book launch venue', '', 1, NULL, NULL, -2, 7, 0, NULL, 'proj-launch', NULL
+  UNION ALL SELECT 'todo-old-done', 3, 0, 'Renew passport', '', 1, NULL, NULL, -30, 8, 0, 'area-personal', NULL, NULL
+  UNION ALL SELECT 'todo-trashed', 0, 1, 'Trashed to-do', '', 1, 0, NULL, NULL, 9, 0, NULL, NULL, NULL
+);
+
+INSERT INTO TMTaskTag VALUES
+  ('todo-podcast', 'tag-priority'),
+  ('todo-hardware', 'tag-errand'),
+  ('todo-welcome-email', 'tag-waiting');
+
+INSERT INTO TMChecklistItem VALUES
+  ('check-1', 'Hero section', 3, NULL, 0, 'todo-sales-page'),
+  ('check-2', 'Testimonials', 3, NULL, 1, 'todo-sales-page'),
+  ('check-3', 'FAQ', 0, NULL, 2, 'todo-sales-page'),
+  ('check-4', 'Pricing table', 0, NULL, 3, 'todo-sales-page');
@@ -0,0 +1,467 @@
+/**
+ * iCalendar (.ics) Reader and Writer
+ * Parses VEVENTs from calendar exports or subscription caches and expands recurring
+ * events (RRULE with EXDATE and RECURRENCE-ID overrides) into occurrences within a window.
+ * formatIcs() writes the dashboard's own feed (RFC 5545: CRLF, folded lines, escaped text).
+ *
+ * Recurrence is expanded on wall-clock times and converted to instants afterwards, so a
+ * weekly 9:00 meeting stays at 9:00 across DST changes. Floating times and unknown
+ * TZIDs use the caller's time zone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard stop for runaway rules (e.g. FREQ=DAILY with no COUNT/UNTIL and a huge window),
+// counted from the start of the requested window rather than from DTSTART
+const MAX_PERIODS = 5000;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Split a content line into { name, params, value }, respecting quoted parameter values.
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * "20261019", "20261019T090000" or "20261019T160000Z" -> { wall, allDay, utc, tzid }.
+ * `wall` is the wall-clock time as if it were UTC, in milliseconds.
+ */
+function parseIcsDate(value, params = {}) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = '0', zulu] = match;
+  const allDay = params.VALUE === 'DATE' || hour === undefined;
+  return {
+    wall: Date.UTC(+year, +month - 1, +day, allDay ? 0 : +hour, allDay ? 0 : +minute, allDay ? 0 : +second),
+    allDay,
+    utc: Boolean(zulu),
+    tzid: params.TZID || null
+  };
+}
+
+function parseRrule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val) rule[key.toUpperCase()] = val;
+  }
+  return {
+    freq: rule.FREQ,
+    interval: parseInt(rule.INTERVAL) || 1,
+    count: rule.COUNT ? parseInt(rule.COUNT) : null,
+    until: rule.UNTIL ? parseIcsDate(rule.UNTIL) : null,
+    byDay: rule.BYDAY ? rule.BYDAY.split(',').map(d => {
+      const m = d.match(/^([+-]?\d+)?([A-Z]{2})$/);
+      return m ? { nth: m[1] ? parseInt(m[1]) : null, weekday: WEEKDAYS.indexOf(m[2]) } : null;
+    }).filter(d => d && d.weekday !== -1) : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+    byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null
+  };
+}
+
+/**
+ * Parse an .ics document into { name, events }. Each event keeps its raw dates;
+ * use expandEvents() to get occurrences.
+ */
+function parseIcs(text) {
+  // Unfold continuation lines (CRLF followed by a space or tab)
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const calendar = { name: null, events: [] };
+  let event = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+
+    if (prop.name === 'BEGIN') {
+      if (prop.value === 'VEVENT') {
+        event = { exdates: [], categories: [] };
+        depth = 0;
+      } else if (event) {
+        depth++; // VALARM and friends
+      }
+      continue;
+    }
+    if (prop.name === 'END') {
+      if (event && prop.value === 'VEVENT') {
+        if (event.uid && event.start) calendar.events.push(event);
+        event = null;
+      } else if (event) {
+        depth--;
+      }
+      continue;
+    }
+
+    if (!event) {
+      if (prop.name === 'X-WR-CALNAME') calendar.name = unescapeText(prop.value);
+      continue;
+    }
+    if (depth > 0) continue;
+
+    switch (prop.name) {
+      case 'UID': event.uid = prop.value; break;
+      case 'SUMMARY': event.title = unescapeText(prop.value); break;
+      case 'LOCATION': event.location = unescapeText(prop.value); break;
+      case 'DESCRIPTION': event.description = unescapeText(prop.value); break;
+      case 'STATUS': event.status = prop.value.toUpperCase(); break;
+      case 'CATEGORIES': event.categories.push(...prop.value.split(',').map(unescapeText)); break;
+      case 'DTSTART': event.start = parseIcsDate(prop.value, prop.params); break;
+      case 'DTEND': event.end = parseIcsDate(prop.value, prop.params); break;
+      case 'RRULE': event.rrule = parseRrule(prop.value); break;
+      case 'RECURRENCE-ID': event.recurrenceId = parseIcsDate(prop.value, prop.params); break;
+      case 'EXDATE':
+        event.exdates.push(...prop.value.split(',').map(v => parseIcsDate(v, prop.params)).filter(Boolean));
+        break;
+    }
+  }
+
+  return calendar;
+}
+
+// =============================================================================
+// TIME ZONES
+// =============================================================================
+
+function zoneOffsetMs(timestampMs, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  for (const part of formatter.formatToParts(new Date(timestampMs))) {
+    parts[part.type] = parseInt(part.value);
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+    Math.floor(timestampMs / 1000) * 1000;
+}
+
+/**
+ * Instant of a parsed date-time. All-day dates become local midnight in `timeZone`.
+ */
+function toInstant(date, timeZone) {
+  if (date.utc) return new Date(date.wall);
+  let zone = (!date.allDay && date.tzid) || timeZone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (err) {
+    zone = timeZone; // Windows-style or custom VTIMEZONE names
+  }
+  // Second pass corrects the offset when the first guess lands across a DST change
+  const guess = date.wall - zoneOffsetMs(date.wall, zone);
+  return new Date(date.wall - zoneOffsetMs(guess, zone));
+}
+
+// =============================================================================
+// RECURRENCE
+// =============================================================================
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Days of one month matching BYDAY ("2TU", "-1FR", "MO") and/or BYMONTHDAY, as day numbers.
+ */
+function monthDays(year, month, rule, defaultDay) {
+  const total = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay.map(d => (d < 0 ? total + d + 1 : d)).filter(d => d >= 1 && d <= total);
+  } else if (!rule.byDay) {
+    days = defaultDay <= total ? [defaultDay] : [];
+  } else {
+    days = [];
+    for (const { nth, weekday } of rule.byDay) {
+      const matching = [];
+      for (let d = 1; d <= total; d++) {
+        if (new Date(Date.UTC(year, month, d)).getUTCDay() === weekday) matching.push(d);
+      }
+      if (nth === null) days.push(...matching);
+      else {
+        const pick = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+        if (pick) days.push(pick);
+      }
+    }
+  }
+
+  if (rule.byMonthDay && rule.byDay) {
+    days = days.filter(d => rule.byDay.some(b => new Date(Date.UTC(year, month, d)).getUTCDay() === b.weekday));
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * The `period`-th period of the rule: { base } is when the period begins and
+ * { walls } the candidate wall-clock start times in it. Times of day come from DTSTART.
+ */
+function periodCandidates(rule, start, period) {
+  const first = new Date(start.wall);
+  const timeOfDay = start.wall - Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate());
+  const at = (year, month, day) => Date.UTC(year, month, day) + timeOfDay;
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const wall = start.wall + step * DAY_MS;
+      const date = new Date(wall);
+      const matches = (!rule.byMonth || rule.byMonth.includes(date.getUTCMonth() + 1)) &&
+        (!rule.byMonthDay || rule.byMonthDay.includes(date.getUTCDate())) &&
+        (!rule.byDay || rule.byDay.some(b => b.weekday === date.getUTCDay()));
+      return { base: wall, walls: matches ? [wall] : [] };
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday (WKST default)
+      const weekStart = start.wall - ((first.getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+      const weekdays = rule.byDay ? rule.byDay.map(b => b.weekday) : [first.getUTCDay()];
+      const walls = weekdays
+        .map(weekday => weekStart + ((weekday + 6) % 7) * DAY_MS)
+        .filter(wall => !rule.byMonth || rule.byMonth.includes(new Date(wall).getUTCMonth() + 1));
+      return { base: weekStart - timeOfDay, walls };
+    }
+    case 'MONTHLY': {
+      const monthIndex = first.getUTCMonth() + step;
+      const year = first.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      const walls = rule.byMonth && !rule.byMonth.includes(month + 1)
+        ? []
+        : monthDays(year, month, rule, first.getUTCDate()).map(day => at(year, month, day));
+      return { base: Date.UTC(year, month, 1), walls };
+    }
+    case 'YEARLY': {
+      const year = first.getUTCFullYear() + step;
+      const months = rule.byMonth ? rule.byMonth.map(m => m - 1) : [first.getUTCMonth()];
+      // BYDAY in a yearly rule is read per month (BYMONTH given, or DTSTART's month)
+      const walls = months.flatMap(month => monthDays(year, month, rule, first.getUTCDate()).map(day => at(year, month, day)));
+      return { base: Date.UTC(year, 0, 1), walls };
+    }
+    default:
+      return { base: Infinity, walls: [] };
+  }
+}
+
+/**
+ * Index of a period that begins no later than `fromWall` (one period early, to be safe
+ * at period edges), so rules started years ago don't walk every period since DTSTART.
+ */
+function periodBefore(rule, start, fromWall) {
+  if (fromWall <= start.wall) return 0;
+  const first = new Date(start.wall);
+  const from = new Date(fromWall);
+  let elapsed;
+  switch (rule.freq) {
+    case 'DAILY':
+      elapsed = Math.floor((fromWall - start.wall) / DAY_MS);
+      break;
+    case 'WEEKLY':
+      elapsed = Math.floor((fromWall - start.wall) / (7 * DAY_MS));
+      break;
+    case 'MONTHLY':
+      elapsed = (from.getUTCFullYear() - first.getUTCFullYear()) * 12 + from.getUTCMonth() - first.getUTCMonth();
+      break;
+    case 'YEARLY':
+      elapsed = from.getUTCFullYear() - first.getUTCFullYear();
+      break;
+    default:
+      return 0;
+  }
+  return Math.max(Math.floor(elapsed / rule.interval) - 1, 0);
+}
+
+/**
+ * Wall-clock start times of the occurrences of `event` up to `untilWall`. Rules without
+ * COUNT start at the period containing `fromWall`, so earlier occurrences may be missing;
+ * COUNT rules are walked from DTSTART so the count stays right.
+ */
+function recurrenceWalls(event, untilWall, fromWall = -Infinity) {
+  const { rrule: rule, start } = event;
+  if (!rule || !rule.freq) return [start.wall];
+
+  // UNTIL is compared as wall-clock time; off by the UTC offset at most for Z values
+  const ruleUntil = rule.until ? rule.until.wall + (rule.until.allDay ? DAY_MS - 1 : 0) : Infinity;
+  const limit = Math.min(untilWall, ruleUntil);
+  const walls = [];
+  let count = 0;
+  let scanned = 0;
+
+  for (let period = rule.count === null ? periodBefore(rule, start, fromWall) : 0; scanned < MAX_PERIODS; period++) {
+    const { base, walls: candidates } = periodCandidates(rule, start, period);
+    if (base > limit) break;
+    if (base >= fromWall) scanned++;
+
+    for (const wall of candidates.sort((a, b) => a - b)) {
+      if (wall < start.wall) continue;
+      if (wall > ruleUntil || wall > untilWall || (rule.count !== null && count >= rule.count)) return walls;
+      count++;
+      walls.push(wall);
+    }
+  }
+  return walls;
+}
+
+/**
+ * Occurrences of the calendar's events starting within [from, until], sorted by start.
+ * Each: { uid, title, start (Date), end (Date|null), allDay, location, categories, recurring }.
+ */
+function expandEvents(calendar, { from, until, timeZone }) {
+  const masters = calendar.events.filter(e => !e.recurrenceId);
+  const overrides = new Map();
+  for (const e of calendar.events.filter(e => e.recurrenceId)) {
+    overrides.set(`${e.uid}|${toInstant(e.recurrenceId, timeZone).getTime()}`, e);
+  }
+
+  const occurrences = [];
+  const untilWall = until.getTime() + 14 * 60 * 60 * 1000; // wall clocks run up to UTC+14
+  const fromWall = from.getTime() - 12 * 60 * 60 * 1000; // and down to UTC-12
+
+  for (const event of masters) {
+    if (event.status === 'CANCELLED') continue;
+    const duration = event.end ? event.end.wall - event.start.wall : null;
+    const excluded = new Set(event.exdates.map(d => toInstant({ ...event.start, ...d, tzid: d.tzid || event.start.tzid }, timeZone).getTime()));
+
+    for (const wall of recurrenceWalls(event, untilWall, fromWall)) {
+      const startDate = { ...event.start, wall };
+      const instant = toInstant(startDate, timeZone);
+      const key = instant.getTime();
+      if (excluded.has(key)) continue;
+
+      const override = overrides.get(`${event.uid}|${key}`);
+      const source = override || event;
+      if (source.status === 'CANCELLED') continue;
+      const occurrenceStart = override ? toInstant(override.start, timeZone) : instant;
+      if (occurrenceStart < from || occurrenceStart > until) continue;
+
+      const occurrenceDuration = override?.end ? override.end.wall - override.start.wall : duration;
+      occurrences.push({
+        uid: event.uid,
+        title: source.title || event.title || '(untitled)',
+        start: occurrenceStart,
+        end: occurrenceDuration !== null ? new Date(occurrenceStart.getTime() + occurrenceDuration) : null,
+        allDay: (override || event).start.allDay,
+        location: source.location || null,
+        categories: source.categories.length > 0 ? source.categories : event.categories,
+        recurring: Boolean(event.rrule)
+      });
+    }
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets per line; continuations start with a space.
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDay(day) {
+  return day.replace(/-/g, '');
+}
+
+function nextDay(day) {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Serialize events into an iCalendar document. Each event is
+ * { uid, title, date: 'YYYY-MM-DD' } (all-day) or { uid, title, start: Date, end?: Date },
+ * plus optional description and categories. Keep UIDs stable so calendar apps
+ * update existing events instead of adding duplicates.
+ */
+function formatIcs({ name, events, now = new Date(), prodId = '-//Hal//Ops Dashboard//EN' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatUtc(now)}`);
+    if (event.date) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDay(event.date)}`, `DTEND;VALUE=DATE:${formatDay(nextDay(event.date))}`);
+    } else {
+      lines.push(`DTSTART:${formatUtc(event.start)}`);
+      if (event.end) lines.push(`DTEND:${formatUtc(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    // Deadlines, not meetings: don't block free/busy time
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseIcs,
+  parseIcsDate,
+  expandEvents,
+  formatIcs
+};
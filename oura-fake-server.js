@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Fake Oura API
+ * Serves /v2/usercollection/<collection> from fixtures/oura/<collection>.json so the
+ * Oura collector can be exercised offline (pagination, rate limits, bad tokens).
+ *
+ * Fixture days are shifted so the newest one is today, which keeps the collector's
+ * date window and staleness alerts meaningful.
+ *
+ * Usage: node oura-fake-server.js [--port 4010] [--page-size 2] [--rate-limit-every 3] [--no-shift] [--verbose]
+ * Then:  DASHBOARD_OURA_TOKEN=fake DASHBOARD_OURA_BASE_URL=http://localhost:4010 node update-dashboard.js
+ *
+ * test/oura.test.js starts it in-process through createFakeOuraServer().
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'oura');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function flag(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : fallback;
+}
+
+function shiftDay(day, offsetDays) {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + offsetDays * DAY_MS).toISOString().split('T')[0];
+}
+
+function readFixture(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8')).data || [];
+}
+
+// Days to add so the newest fixture day is today; one offset for every collection
+// keeps them aligned with each other
+function fixtureDayOffset() {
+  const newest = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .flatMap(file => readFixture(path.join(FIXTURES_DIR, file)).map(item => item.day))
+    .sort()
+    .pop();
+  const today = new Date().toISOString().split('T')[0];
+  return newest ? Math.round((new Date(today) - new Date(newest)) / DAY_MS) : 0;
+}
+
+function loadFixture(collection, dayOffset) {
+  const file = path.join(FIXTURES_DIR, `${path.basename(collection)}.json`);
+  if (!fs.existsSync(file)) return null;
+  return readFixture(file).map(item => ({ ...item, day: shiftDay(item.day, dayOffset) }));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * HTTP server (not yet listening) for the fake API. Every `rateLimitEvery`th request
+ * gets a 429 with Retry-After: 1 (0 disables). `server.stats` counts requests and 429s.
+ */
+function createFakeOuraServer({ pageSize = 2, rateLimitEvery = 0, shiftDays = true, verbose = false } = {}) {
+  const dayOffset = shiftDays ? fixtureDayOffset() : 0;
+  const stats = { requests: 0, rateLimited: 0 };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    stats.requests++;
+    if (verbose) console.log(`${req.method} ${url.pathname}${url.search}`);
+
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return sendJson(res, 401, { detail: 'Missing or invalid access token' });
+    }
+    if (rateLimitEvery > 0 && stats.requests % rateLimitEvery === 0) {
+      stats.rateLimited++;
+      return sendJson(res, 429, { detail: 'Rate limit exceeded' }, { 'Retry-After': '1' });
+    }
+
+    const match = url.pathname.match(/^\/v2\/usercollection\/([A-Za-z0-9_]+)$/);
+    const items = match ? loadFixture(match[1], dayOffset) : null;
+    if (!items) return sendJson(res, 404, { detail: `Unknown endpoint ${url.pathname}` });
+
+    const start = url.searchParams.get('start_date');
+    const end = url.searchParams.get('end_date');
+    const inRange = items.filter(item => (!start || item.day >= start) && (!end || item.day <= end));
+
+    const offset = parseInt(Buffer.from(url.searchParams.get('next_token') || '', 'base64').toString()) || 0;
+    const page = inRange.slice(offset, offset + pageSize);
+    const nextOffset = offset + pageSize;
+    sendJson(res, 200, {
+      data: page,
+      next_token: nextOffset < inRange.length ? Buffer.from(String(nextOffset)).toString('base64') : null
+    });
+  });
+  server.stats = stats;
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(flag('port', '4010'));
+  const pageSize = parseInt(flag('page-size', '2'));
+  const rateLimitEvery = parseInt(flag('rate-limit-every', '0'));
+  const server = createFakeOuraServer({
+    pageSize,
+    rateLimitEvery,
+    shiftDays: !process.argv.includes('--no-shift'),
+    verbose: process.argv.includes('--verbose')
+  });
+  server.listen(port, () => {
+    console.log(`💍 Fake Oura API on http://localhost:${port} (page size ${pageSize}${rateLimitEvery ? `, 429 every ${rateLimitEvery} requests` : ''})`);
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  createFakeOuraServer
+};
@@ -0,0 +1,162 @@
+/**
+ * Oura API v2 Client
+ * Fetches body stats directly from the Oura API with a personal access token.
+ * The collector in update-dashboard.js falls back to the get-oura-body-stats.sh
+ * script when no token is configured or the API is unreachable.
+ *
+ * For offline work, `node oura-fake-server.js` serves the same endpoints from
+ * fixtures/oura; point `oura.baseUrl` at it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 3;
+// Never sleep longer than this for a Retry-After, the collector has its own timeout
+const MAX_RETRY_WAIT_MS = 20000;
+const MAX_PAGES = 20;
+// VO2 max updates rarely; look further back so there is a previous value for the trend
+const VO2_LOOKBACK_DAYS = 90;
+
+class OuraApiError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'OuraApiError';
+    this.status = status;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function retryDelayMs(res, attempt) {
+  const retryAfter = parseFloat(res.headers.get('retry-after'));
+  const wait = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * 2 ** attempt;
+  return Math.min(wait, MAX_RETRY_WAIT_MS);
+}
+
+/**
+ * Client for /v2/usercollection endpoints. `list()` follows next_token pagination
+ * and retries 429/5xx responses, honouring Retry-After.
+ */
+function createOuraClient({ token, baseUrl = 'https://api.ouraring.com', fetchImpl = fetch }) {
+  async function request(url) {
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await fetchImpl(url, {
+          headers: { Authorization: `Bearer ${token}` },
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+      } catch (err) {
+        throw new OuraApiError(`Oura API unreachable: ${err.message}`);
+      }
+
+      if (res.ok) return res.json();
+      if (res.status === 401 || res.status === 403) {
+        throw new OuraApiError('Oura API rejected the access token', res.status);
+      }
+      if ((res.status === 429 || res.status >= 500) && attempt < MAX_RETRIES) {
+        await sleep(retryDelayMs(res, attempt));
+        continue;
+      }
+      throw new OuraApiError(`Oura API ${url.pathname} returned HTTP ${res.status}`, res.status);
+    }
+  }
+
+  async function list(collection, { startDate, endDate } = {}) {
+    const items = [];
+    let nextToken = null;
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const url = new URL(`/v2/usercollection/${collection}`, baseUrl);
+      if (startDate) url.searchParams.set('start_date', startDate);
+      if (endDate) url.searchParams.set('end_date', endDate);
+      if (nextToken) url.searchParams.set('next_token', nextToken);
+
+      const body = await request(url);
+      items.push(...(body.data || []));
+      nextToken = body.next_token;
+      if (!nextToken) break;
+    }
+    return items;
+  }
+
+  return { list };
+}
+
+function latestByDay(items) {
+  return items.slice().sort((a, b) => (a.day || '').localeCompare(b.day || '')).pop() || null;
+}
+
+/**
+ * Fetch the last `lookbackDays` days and reduce them to the dashboard's body-stats
+ * shape (the same one the shell script produces, plus sleep, readiness, HRV and RHR).
+ */
+async function fetchOuraBodyStats(client, { today, lookbackDays = 7 }) {
+  const dayOffset = days => new Date(new Date(`${today}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+  // end_date is exclusive for some collections; ask for one day past today
+  const range = { startDate: dayOffset(-lookbackDays), endDate: dayOffset(1) };
+
+  const [sleepDays, readinessDays, sleepPeriods, resilienceDays, stressDays, vo2Days] = await Promise.all([
+    client.list('daily_sleep', range),
+    client.list('daily_readiness', range),
+    client.list('sleep', range),
+    client.list('daily_resilience', range),
+    client.list('daily_stress', range),
+    client.list('vO2_max', { ...range, startDate: dayOffset(-VO2_LOOKBACK_DAYS) })
+  ]);
+
+  const sleepDay = latestByDay(sleepDays);
+  const readiness = latestByDay(readinessDays);
+  const resilience = latestByDay(resilienceDays);
+  const stress = latestByDay(stressDays);
+  const mainSleep = latestByDay(sleepPeriods.filter(p => p.type === 'long_sleep')) || latestByDay(sleepPeriods);
+
+  const vo2Sorted = vo2Days.filter(v => v.vo2_max).sort((a, b) => a.day.localeCompare(b.day));
+  const currentVo2 = Math.round(vo2Sorted[vo2Sorted.length - 1]?.vo2_max || 0);
+  const prevVo2 = Math.round(vo2Sorted[vo2Sorted.length - 2]?.vo2_max || currentVo2);
+
+  const days = [sleepDay, readiness, resilience, stress].filter(Boolean).map(d => d.day).sort();
+
+  return {
+    resilience: {
+      level: resilience?.level || 'unknown',
+      sleepRecovery: resilience?.contributors?.sleep_recovery || 0,
+      daytimeRecovery: resilience?.contributors?.daytime_recovery || 0,
+      stress: resilience?.contributors?.stress || 0
+    },
+    stress: {
+      summary: stress?.day_summary || 'unknown',
+      // Oura reports stress_high/recovery_high in seconds
+      stressMinutes: Math.round((stress?.stress_high || 0) / 60),
+      recoveryMinutes: Math.round((stress?.recovery_high || 0) / 60)
+    },
+    vo2: {
+      current: currentVo2,
+      previous: prevVo2,
+      trend: currentVo2 > prevVo2 ? '↑' : currentVo2 < prevVo2 ? '↓' : '→',
+      date: vo2Sorted[vo2Sorted.length - 1]?.day
+    },
+    sleep: {
+      score: sleepDay?.score ?? null,
+      day: sleepDay?.day || null
+    },
+    readiness: {
+      score: readiness?.score ?? null,
+      temperatureDeviation: readiness?.temperature_deviation ?? null
+    },
+    hrv: {
+      average: mainSleep?.average_hrv ?? null
+    },
+    restingHeartRate: mainSleep?.lowest_heart_rate ?? null,
+    date: days[days.length - 1] || null,
+    source: 'api'
+  };
+}
+
+module.exports = {
+  OuraApiError,
+  createOuraClient,
+  fetchOuraBodyStats
+};
@@ -0,0 +1,162 @@
+/**
+ * Weekly Scorecard
+ * Parses scorecard targets ("≥3", "<175", "5/wk", "$10K", "172-175") into comparators,
+ * evaluates the week's actuals against them and keeps one entry per ISO week so the
+ * dashboard can show recent weeks, hit rates and streaks per metric.
+ */
+
+const fs = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weeks kept in the store; the card only shows the most recent few
+const RETENTION_WEEKS = 52;
+
+const COMPARATORS = {
+  '>=': (value, target) => value >= target.value,
+  '>': (value, target) => value > target.value,
+  '<=': (value, target) => value <= target.value,
+  '<': (value, target) => value < target.value,
+  '=': (value, target) => value === target.value,
+  'between': (value, target) => value >= target.value && value <= target.max
+};
+
+const OPERATOR_ALIASES = { '≥': '>=', '≤': '<=', '>=': '>=', '<=': '<=', '>': '>', '<': '<', '=': '=' };
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse a number written the way people write scorecards: "3", "$10K", "1,500", "2.5M", "80%".
+ * Returns null when there is no number.
+ */
+function parseNumber(text) {
+  const match = String(text || '').replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*([kKmM])?/);
+  if (!match) return null;
+  const scale = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return parseFloat(match[1]) * scale;
+}
+
+/**
+ * Turn a target string into { op, value, max? }, or null if it has no number.
+ * A bare number ("3", "5/wk", "$10K") means "at least"; "3+" likewise.
+ */
+function parseTarget(text) {
+  const target = String(text || '').trim();
+
+  const range = target.replace(/,/g, '').match(/^\$?(\d+(?:\.\d+)?[kKmM]?)\s*[-–]\s*\$?(\d+(?:\.\d+)?[kKmM]?)/);
+  if (range) {
+    return { op: 'between', value: parseNumber(range[1]), max: parseNumber(range[2]) };
+  }
+
+  const value = parseNumber(target);
+  if (value === null) return null;
+
+  const operator = target.match(/^(≥|≤|>=|<=|>|<|=)/);
+  return { op: operator ? OPERATOR_ALIASES[operator[1]] : '>=', value };
+}
+
+/**
+ * true/false when the actual can be compared with the target, null otherwise.
+ */
+function evaluateMetric(targetText, actualText) {
+  const target = parseTarget(targetText);
+  const actual = parseNumber(actualText);
+  if (!target || actual === null) return null;
+  return COMPARATORS[target.op](actual, target);
+}
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+/**
+ * ISO 8601 week key ("2026-W05") for a YYYY-MM-DD calendar date.
+ */
+function isoWeek(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  const dayOfWeek = date.getUTCDay() || 7;
+  // The Thursday of this week decides which year the week belongs to
+  const thursday = new Date(date.getTime() + (4 - dayOfWeek) * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function loadScorecardHistory(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const history = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { weeks: history.weeks || {} };
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Could not load scorecard history: ${err.message}`);
+  }
+  return { weeks: {} };
+}
+
+function saveScorecardHistory(filePath, history) {
+  fs.writeFileSync(filePath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Store this week's scorecard, replacing any earlier snapshot of the same week.
+ */
+function recordScorecardWeek(history, week, scorecard) {
+  const entry = {};
+  for (const metric of scorecard) {
+    entry[metric.metric] = { target: metric.target, actual: metric.actual, onTrack: metric.onTrack };
+  }
+  history.weeks[week] = entry;
+
+  const keep = Object.keys(history.weeks).sort().slice(-RETENTION_WEEKS);
+  for (const key of Object.keys(history.weeks)) {
+    if (!keep.includes(key)) delete history.weeks[key];
+  }
+  return history;
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+/**
+ * Recent weeks, hit rate and current streak for one metric. The current week is
+ * still in progress, so it is shown but left out of the hit rate and streak.
+ */
+function summarizeMetric(history, metricName, currentWeek, weekCount) {
+  const weeks = Object.keys(history.weeks).filter(w => w <= currentWeek).sort().slice(-weekCount);
+  const recent = weeks.map(week => ({
+    week,
+    current: week === currentWeek,
+    onTrack: history.weeks[week][metricName]?.onTrack ?? null,
+    actual: history.weeks[week][metricName]?.actual ?? null
+  }));
+
+  const finished = recent.filter(w => !w.current && w.onTrack !== null);
+  const hits = finished.filter(w => w.onTrack).length;
+
+  let streak = 0;
+  const last = finished[finished.length - 1];
+  for (let i = finished.length - 1; i >= 0 && finished[i].onTrack === last.onTrack; i--) {
+    streak++;
+  }
+
+  return {
+    recent,
+    hitRate: finished.length > 0 ? Math.round((hits / finished.length) * 100) : null,
+    streak: last ? { type: last.onTrack ? 'hit' : 'miss', weeks: streak } : null
+  };
+}
+
+module.exports = {
+  parseNumber,
+  parseTarget,
+  evaluateMetric,
+  isoWeek,
+  loadScorecardHistory,
+  saveScorecardHistory,
+  recordScorecardWeek,
+  summarizeMetric
+};
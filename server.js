@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+/**
+ * Dashboard Server
+ * Serves the dashboard directory and backs the live features in index.html.
+ *
+ * Features:
+ * - Serves index.html, state.json, history.html and the daily snapshots (nothing else
+ *   in the dashboard directory, which also holds the config file and history stores)
+ * - Calendar feed at /dashboard.ics (subscribe from a phone calendar)
+ * - REST API: state, approval queue, sessions, Things tasks, refresh, commands
+ * - WebSocket push of state/queue/activity changes to connected clients
+ *
+ * Listens on 127.0.0.1 unless server.host says otherwise. Requests must name an
+ * allowed Host (and Origin, when the browser sends one) and POSTs must be JSON, so
+ * other web pages can't approve items or queue commands through the user's browser.
+ *
+ * Usage: node server.js [--port 3000] [--config dashboard.config.json]
+ */
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const {
+  config,
+  DASHBOARD_DIR,
+  ACTIVITY_LOG_PATH,
+  APPROVAL_QUEUE_PATH,
+  CALENDAR_FEED_PATH,
+  runCollector,
+  loadActivityLog,
+  logActivity,
+  updateApprovalQueue
+} = require('./update-dashboard');
+const { QueueError } = require('./approval-queue');
+
+const HTML_PATH = config.paths.html;
+const STATE_PATH = config.paths.state;
+const HISTORY_PAGE_PATH = config.paths.historyPage;
+const SNAPSHOTS_DIR = config.paths.snapshotsDir;
+const COMMAND_QUEUE_PATH = config.paths.commandQueue;
+const UPDATER_PATH = path.join(__dirname, 'update-dashboard.js');
+const REFRESH_TIMEOUT = 5 * 60 * 1000;
+const WATCH_INTERVAL = 2000;
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+const portFlag = process.argv.indexOf('--port');
+const PORT = parseInt(portFlag !== -1 ? process.argv[portFlag + 1] : process.env.PORT) || config.server.port;
+const HOST = config.server.host;
+
+// Host names requests may address: loopback, the bound address unless it's a wildcard,
+// and config.server.allowedHosts. Anything else is a foreign page or DNS rebinding.
+const ALLOWED_HOSTS = new Set([
+  'localhost', '127.0.0.1', '[::1]',
+  ...(['0.0.0.0', '::'].includes(HOST) ? [] : [HOST.includes(':') ? `[${HOST}]` : HOST]),
+  ...config.server.allowedHosts
+].map(host => host.toLowerCase()));
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+// Bad input from the client: answered with `status` instead of a 500
+class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// DATA ACCESS
+// =============================================================================
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+function getQueuePayload() {
+  const queue = readJson(APPROVAL_QUEUE_PATH, {});
+  return { items: queue.pendingApproval || [] };
+}
+
+function decideQueueItem(id, decision, reason) {
+  try {
+    const action = decision === 'approved' ? 'approve' : 'reject';
+    const item = updateApprovalQueue(action, { id, reason }, 'dashboard');
+    return { success: true, item };
+  } catch (err) {
+    if (!(err instanceof QueueError)) throw err;
+    return { success: false, error: err.message };
+  }
+}
+
+function saveCommand(text) {
+  if (!text || !text.trim()) return { success: false, error: 'Empty command' };
+
+  const data = readJson(COMMAND_QUEUE_PATH, { commands: [] });
+  const command = {
+    id: crypto.randomUUID(),
+    text: text.trim().substring(0, 2000),
+    receivedAt: new Date().toISOString(),
+    status: 'pending'
+  };
+  data.commands = data.commands || [];
+  data.commands.push(command);
+  writeJson(COMMAND_QUEUE_PATH, data);
+
+  logActivity('Command received', command.text.substring(0, 100), 'dashboard');
+  return { success: true, id: command.id };
+}
+
+let refreshInFlight = null;
+
+function runRefresh() {
+  if (refreshInFlight) return refreshInFlight;
+
+  console.log('🔄 Running dashboard update...');
+  refreshInFlight = new Promise(resolve => {
+    // Hand the child the same config file this server resolved
+    const env = config.file ? { ...process.env, DASHBOARD_CONFIG: config.file } : process.env;
+    execFile(process.execPath, [UPDATER_PATH], { timeout: REFRESH_TIMEOUT, env }, (err) => {
+      refreshInFlight = null;
+      if (err) {
+        console.log(`   ⚠️ Dashboard update failed: ${err.message}`);
+        resolve({ success: false, error: err.message });
+      } else {
+        console.log('   ✅ Dashboard update finished');
+        resolve({ success: true });
+      }
+    });
+  });
+  return refreshInFlight;
+}
+
+// =============================================================================
+// WEBSOCKET
+// =============================================================================
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const clients = new Set();
+
+function encodeFrame(payload, opcode = 0x1) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = data.length;
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, data]);
+}
+
+// Returns { frame, rest } once a full client frame is buffered, { tooLarge } for a
+// frame over MAX_FRAME_BYTES, else null
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  if (length > MAX_FRAME_BYTES) return { tooLarge: true };
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+
+  return { frame: { opcode, payload }, rest: buffer.subarray(offset + length) };
+}
+
+function send(socket, message) {
+  if (socket.destroyed) return;
+  socket.write(encodeFrame(JSON.stringify(message)));
+}
+
+function broadcast(message) {
+  for (const socket of clients) {
+    send(socket, message);
+  }
+}
+
+function handleClientMessage(socket, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    return;
+  }
+
+  const payload = message.payload || {};
+  switch (message.type) {
+    case 'ping':
+      send(socket, { type: 'pong' });
+      break;
+    case 'command':
+      send(socket, { type: 'response', ...saveCommand(payload.text) });
+      break;
+    case 'approve':
+    case 'reject': {
+      const decision = message.type === 'approve' ? 'approved' : 'rejected';
+      const result = decideQueueItem(payload.id, decision, payload.reason);
+      send(socket, { type: 'ack', success: result.success, error: result.error });
+      break;
+    }
+  }
+}
+
+// A failing handler (e.g. a file write) answers this client instead of taking the server down
+function handleClientMessageSafely(socket, text) {
+  try {
+    handleClientMessage(socket, text);
+  } catch (err) {
+    console.log(`   ⚠️ WebSocket message failed: ${err.message}`);
+    send(socket, { type: 'error', error: err.message });
+  }
+}
+
+function handleUpgrade(req, socket) {
+  const foreign = foreignRequestReason(req);
+  if (foreign) {
+    console.log(`   ⚠️ WebSocket refused: ${foreign}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+
+  clients.add(socket);
+  let buffered = Buffer.alloc(0);
+
+  socket.on('data', chunk => {
+    if (socket.writableEnded) return;
+    buffered = Buffer.concat([buffered, chunk]);
+    let decoded;
+    while ((decoded = decodeFrame(buffered))) {
+      if (decoded.tooLarge) {
+        // 1009: message too big
+        const status = Buffer.alloc(2);
+        status.writeUInt16BE(1009);
+        socket.end(encodeFrame(status, 0x8));
+        buffered = Buffer.alloc(0);
+        clients.delete(socket);
+        return;
+      }
+      buffered = decoded.rest;
+      const { opcode, payload } = decoded.frame;
+      if (opcode === 0x1) {
+        handleClientMessageSafely(socket, payload.toString('utf8'));
+      } else if (opcode === 0x8) {
+        socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(payload, 0xa));
+      }
+    }
+  });
+  socket.on('close', () => clients.delete(socket));
+  socket.on('error', () => clients.delete(socket));
+
+  // Send the current snapshot so a fresh tab doesn't wait for the next change
+  send(socket, { type: 'state', data: readJson(STATE_PATH, {}) });
+  send(socket, { type: 'queue', data: getQueuePayload() });
+  send(socket, { type: 'activity', data: loadActivityLog() });
+}
+
+function watchDataFiles() {
+  const watched = [
+    [STATE_PATH, () => ({ type: 'state', data: readJson(STATE_PATH, {}) })],
+    [APPROVAL_QUEUE_PATH, () => ({ type: 'queue', data: getQueuePayload() })],
+    [ACTIVITY_LOG_PATH, () => ({ type: 'activity', data: loadActivityLog() })]
+  ];
+
+  for (const [filePath, buildMessage] of watched) {
+    fs.watchFile(filePath, { interval: WATCH_INTERVAL }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs && clients.size > 0) {
+        broadcast(buildMessage());
+      }
+    });
+  }
+}
+
+// =============================================================================
+// HTTP
+// =============================================================================
+
+function hostnameOf(value) {
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Why a request (or WebSocket upgrade) isn't from the dashboard itself, else null.
+ */
+function foreignRequestReason(req) {
+  if (!ALLOWED_HOSTS.has(hostnameOf(req.headers.host || ''))) {
+    return `Host ${req.headers.host || '(none)'} is not allowed (add it to server.allowedHosts)`;
+  }
+  const origin = req.headers.origin;
+  if (origin !== undefined && !ALLOWED_HOSTS.has(hostnameOf(origin))) {
+    return `Origin ${origin} is not allowed`;
+  }
+  return null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new RequestError('Request body too large', 413));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new RequestError('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * The files the server hands out, by URL. Everything else is a 404: the dashboard
+ * directory also holds dashboard.config.json (tokens, webhook URLs), history/,
+ * the approval queue and the sources.
+ */
+function resolveStaticPath(pathname) {
+  if (pathname === '/' || pathname === '/index.html') return HTML_PATH;
+  if (pathname === '/state.json') return STATE_PATH;
+  if (pathname === '/history.html') return HISTORY_PAGE_PATH;
+  const snapshot = pathname.match(/^\/snapshots\/(\d{4}-\d{2}-\d{2})\/(index\.html|state\.json)?$/);
+  if (snapshot) return path.join(SNAPSHOTS_DIR, snapshot[1], snapshot[2] || 'index.html');
+  return null;
+}
+
+function serveStatic(req, res, pathname) {
+  const filePath = resolveStaticPath(pathname);
+  if (!filePath) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+
+  fs.readFile(filePath, (err, content) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    const contentType = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+    res.end(content);
+  });
+}
+
+// Served from its configured path, which need not be inside the dashboard directory
+function serveCalendarFeed(req, res) {
+  fs.readFile(CALENDAR_FEED_PATH, (err, content) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Calendar feed not generated yet');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8', 'Cache-Control': 'no-cache' });
+    res.end(content);
+  });
+}
+
+async function handleApi(req, res, pathname) {
+  const method = req.method;
+  
+  // Forms and no-cors fetches can't send this, so cross-site POSTs stop here
+  if (method === 'POST' && !/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    throw new RequestError('POST requests need Content-Type: application/json', 415);
+  }
+
+  if (method === 'GET' && pathname === '/api/state') {
+    return sendJson(res, 200, readJson(STATE_PATH, {}));
+  }
+
+  if (method === 'GET' && pathname === '/api/queue') {
+    return sendJson(res, 200, getQueuePayload());
+  }
+
+  if (method === 'GET' && pathname === '/api/sessions') {
+    return sendJson(res, 200, { sessions: (await runCollector('agents')).all });
+  }
+
+  if (method === 'GET' && pathname === '/api/things') {
+    const thingsData = await runCollector('things');
+    return sendJson(res, 200, { tasks: thingsData.lists.today, ...thingsData });
+  }
+
+  if (method === 'POST' && pathname === '/api/refresh') {
+    const result = await runRefresh();
+    return sendJson(res, result.success ? 200 : 500, result);
+  }
+
+  const decisionMatch = pathname.match(/^\/api\/(approve|reject)\/([^/]+)$/);
+  if (method === 'POST' && decisionMatch) {
+    const body = await readBody(req);
+    const decision = decisionMatch[1] === 'approve' ? 'approved' : 'rejected';
+    const result = decideQueueItem(decodeURIComponent(decisionMatch[2]), decision, body.reason);
+    return sendJson(res, result.success ? 200 : 404, result);
+  }
+
+  if (method === 'POST' && pathname === '/api/command') {
+    const body = await readBody(req);
+    const result = saveCommand(body.text);
+    return sendJson(res, result.success ? 200 : 400, result);
+  }
+
+  sendJson(res, 404, { success: false, error: `Unknown endpoint: ${method} ${pathname}` });
+}
+
+function parsePathname(url) {
+  try {
+    const { pathname } = new URL(url, 'http://localhost');
+    // Validates the escapes once so routes can decode without throwing
+    decodeURIComponent(pathname);
+    return pathname;
+  } catch (err) {
+    throw new RequestError(`Invalid request path: ${url}`);
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  let pathname = req.url;
+  try {
+    pathname = parsePathname(req.url);
+    const foreign = foreignRequestReason(req);
+    if (foreign) throw new RequestError(foreign, 403);
+    if (pathname.startsWith('/api/')) {
+      await handleApi(req, res, pathname);
+    } else if ((req.method === 'GET' || req.method === 'HEAD') && pathname === '/dashboard.ics') {
+      serveCalendarFeed(req, res);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      serveStatic(req, res, pathname);
+    } else {
+      res.writeHead(405);
+      res.end('Method not allowed');
+    }
+  } catch (err) {
+    const status = err instanceof RequestError ? err.status : 500;
+    console.log(`   ⚠️ ${req.method} ${pathname} failed (${status}): ${err.message}`);
+    if (!res.headersSent) sendJson(res, status, { success: false, error: err.message });
+  }
+});
+
+server.on('upgrade', handleUpgrade);
+
+server.listen(PORT, HOST, () => {
+  watchDataFiles();
+  console.log(`🦞 Dashboard server listening on http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT}`);
+  console.log(`   Serving ${DASHBOARD_DIR}`);
+});
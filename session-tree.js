@@ -0,0 +1,207 @@
+/**
+ * Session Tree
+ * Rebuilds parent/child relationships between Clawdbot sessions from their keys
+ * (agent:<id>:main, agent:<id>:subagent:<uuid>, agent:<id>:cron:<job>[:run:<run>],
+ * agent:<id>:slack:...) and sessions.json metadata (spawnedBy), and keeps one
+ * lifecycle record per session so subagents and cron runs that have finished stay
+ * visible after they drop out of `sessions list --active`.
+ */
+
+const fs = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RETENTION_DAYS = 7;
+
+// Sessions that do one job and end; main and chat sessions only ever go idle
+const FINISHING_TYPES = ['subagent', 'cron'];
+const FINAL_STATES = ['completed', 'aborted'];
+
+// Roots are listed main session first, then crons, chats and anything else
+const TYPE_ORDER = ['main', 'cron', 'slack', 'unknown'];
+
+/**
+ * Session type and the parent implied by the key alone: subagents belong to their
+ * agent's main session, cron runs to their cron job.
+ */
+function parseSessionKey(key) {
+  const parts = (key || '').split(':');
+  if (parts[0] !== 'agent' || parts.length < 3) return { type: 'unknown', parentKey: null };
+  const [, agentId, scope, ...rest] = parts;
+
+  if (scope === 'main' && rest.length === 0) return { type: 'main', parentKey: null };
+  if (scope === 'subagent') return { type: 'subagent', parentKey: `agent:${agentId}:main` };
+  if (scope === 'cron') {
+    const runIndex = rest.indexOf('run');
+    const parentKey = runIndex > 0 ? `agent:${agentId}:cron:${rest.slice(0, runIndex).join(':')}` : null;
+    return { type: 'cron', parentKey };
+  }
+  if (parts.includes('slack')) return { type: 'slack', parentKey: null };
+  return { type: 'unknown', parentKey: null };
+}
+
+function isFinished(entry) {
+  return FINAL_STATES.includes(entry.state);
+}
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+function loadSessionHistory(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const history = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { sessions: history.sessions || {} };
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Could not load session history: ${err.message}`);
+  }
+  return { sessions: {} };
+}
+
+function saveSessionHistory(filePath, history) {
+  fs.writeFileSync(filePath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Fold this run's sessions (getActiveAgents() entries) into the lifecycle records.
+ * Subagents and cron sessions that went quiet or disappeared get their final state:
+ * `aborted` when Clawdbot flagged the last run as aborted, else `completed`.
+ */
+function updateSessionHistory(history, agents, now = new Date()) {
+  const seenAt = now.toISOString();
+
+  for (const agent of agents) {
+    const previous = history.sessions[agent.key];
+    // A finished cron session that runs again starts a new lifecycle
+    const restarted = previous && isFinished(previous) && agent.isActive;
+    const entry = restarted || !previous ? { startedAt: agent.startedAt || agent.updatedAt } : previous;
+
+    Object.assign(entry, {
+      key: agent.key,
+      type: agent.agentType,
+      name: agent.agentName,
+      parentKey: agent.parentKey,
+      model: agent.model || entry.model || null,
+      tokenPercent: agent.tokenUsage?.percent ?? entry.tokenPercent ?? null,
+      startedAt: agent.startedAt || entry.startedAt,
+      updatedAt: agent.updatedAt,
+      lastSeenAt: seenAt,
+      aborted: agent.aborted
+    });
+
+    if (agent.isActive) {
+      entry.state = 'running';
+      entry.endedAt = null;
+    } else if (FINISHING_TYPES.includes(entry.type)) {
+      entry.state = entry.aborted ? 'aborted' : 'completed';
+      entry.endedAt = entry.updatedAt;
+    } else {
+      entry.state = 'idle';
+    }
+    history.sessions[agent.key] = entry;
+  }
+
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS).toISOString();
+  for (const [key, entry] of Object.entries(history.sessions)) {
+    if (entry.lastSeenAt === seenAt) continue;
+    if (FINISHING_TYPES.includes(entry.type) && !isFinished(entry)) {
+      entry.state = entry.aborted ? 'aborted' : 'completed';
+      entry.endedAt = entry.updatedAt;
+    }
+    if ((entry.endedAt || entry.lastSeenAt) < cutoff) delete history.sessions[key];
+  }
+  return history;
+}
+
+// =============================================================================
+// VIEWS
+// =============================================================================
+
+function durationMs(entry, now) {
+  const end = entry.endedAt ? new Date(entry.endedAt) : now;
+  return entry.startedAt ? Math.max(end - new Date(entry.startedAt), 0) : null;
+}
+
+function toNode(entry, now) {
+  return {
+    key: entry.key,
+    name: entry.name,
+    type: entry.type,
+    state: entry.state,
+    model: entry.model,
+    tokenPercent: entry.tokenPercent,
+    startedAt: entry.startedAt || null,
+    updatedAt: entry.updatedAt || null,
+    endedAt: entry.endedAt || null,
+    durationMs: durationMs(entry, now),
+    children: []
+  };
+}
+
+/**
+ * Sessions still going (seen this run and not finished) as a forest: children
+ * under their parent, with a parent that has aged out of the listing pulled back in
+ * from history so its children still nest. Children are oldest first.
+ */
+function buildSessionTree(history, now = new Date()) {
+  const seenAt = now.toISOString();
+  const nodes = new Map();
+  const addNode = entry => {
+    if (!nodes.has(entry.key)) nodes.set(entry.key, toNode(entry, now));
+    return nodes.get(entry.key);
+  };
+
+  for (const entry of Object.values(history.sessions)) {
+    if (entry.lastSeenAt !== seenAt || isFinished(entry)) continue;
+    addNode(entry);
+    // Walk up so every live session hangs off its (possibly idle) ancestors
+    let parent = history.sessions[entry.parentKey];
+    const visited = new Set([entry.key]);
+    while (parent && !visited.has(parent.key)) {
+      visited.add(parent.key);
+      addNode(parent);
+      parent = history.sessions[parent.parentKey];
+    }
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parentKey = history.sessions[node.key].parentKey;
+    if (parentKey && nodes.has(parentKey) && parentKey !== node.key) {
+      nodes.get(parentKey).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const byStart = (a, b) => (a.startedAt || '').localeCompare(b.startedAt || '');
+  for (const node of nodes.values()) node.children.sort(byStart);
+  const typeRank = type => (TYPE_ORDER.indexOf(type) + 1 || TYPE_ORDER.length) - 1;
+  return roots.sort((a, b) => typeRank(a.type) - typeRank(b.type) || (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Finished subagents and cron sessions, most recently ended first.
+ */
+function recentlyFinished(history, now = new Date(), limit = 5) {
+  return Object.values(history.sessions)
+    .filter(isFinished)
+    .sort((a, b) => (b.endedAt || '').localeCompare(a.endedAt || ''))
+    .slice(0, limit)
+    .map(entry => {
+      const node = toNode(entry, now);
+      delete node.children;
+      return { ...node, parentName: history.sessions[entry.parentKey]?.name || null };
+    });
+}
+
+module.exports = {
+  parseSessionKey,
+  loadSessionHistory,
+  saveSessionHistory,
+  updateSessionHistory,
+  buildSessionTree,
+  recentlyFinished
+};
@@ -0,0 +1,268 @@
+/**
+ * Dashboard Snapshots
+ * Keeps one static copy of the rendered dashboard per day (the last run of the day
+ * wins) next to the state.json it was built from:
+ *   snapshots/2026-10-19/index.html
+ *   snapshots/2026-10-19/state.json
+ * Snapshots are self-contained: index.html carries its own styles, and the live page's
+ * scripts (data loading, WebSocket, approve buttons) are swapped for a small one that
+ * only switches tabs and opens goal cards, so a copy renders the same years later
+ * without the server. history.html lists them with a date picker and a diff of key metrics.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_DIR = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Metrics compared on the history page. `better` says which direction is an
+ * improvement (up/down) so the diff can colour it; omitted means neutral.
+ */
+const SNAPSHOT_METRICS = [
+  { key: 'cronsHealthy', label: 'Crons healthy', better: 'up', read: s => s.health?.crons?.healthy },
+  { key: 'cronsTotal', label: 'Crons total', read: s => s.health?.crons?.total },
+  { key: 'alerts', label: 'Active alerts', better: 'down', read: s => s.alerts?.length },
+  { key: 'agentsActive', label: 'Active agents', read: s => s.health?.agents?.active },
+  { key: 'contextPercent', label: 'Main context %', better: 'down', read: s => s.systemStatus?.mainSessionContext?.percent },
+  { key: 'needsYou', label: 'Needs You items', better: 'down', read: s => s.needsYouItems?.length },
+  { key: 'tasksToday', label: 'Tasks today', read: s => s.taskCounts?.today },
+  { key: 'inbox', label: 'Things inbox', better: 'down', read: s => s.taskCounts?.inbox },
+  { key: 'rocksDone', label: 'Rocks done', better: 'up', read: s => s.lifeOS?.rocksCompleted },
+  { key: 'quarterDaysLeft', label: 'Quarter days left', read: s => s.lifeOS?.quarter?.daysLeft },
+  { key: 'upcoming', label: 'Coming up', read: s => s.upcoming?.filter(item => item.daysAway >= 0).length },
+  { key: 'spendToday', label: 'Spend that day ($)', better: 'down', read: s => s.spend?.today?.cost },
+  { key: 'spendMonth', label: 'Spend month to date ($)', read: s => s.spend?.monthToDate?.cost }
+];
+
+function listSnapshots(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => DATE_DIR.test(name) && fs.existsSync(path.join(dir, name, 'index.html')))
+    .sort();
+}
+
+// Relative URL between two files/dirs on disk, always with forward slashes
+function relativeUrl(fromDir, to) {
+  return path.relative(fromDir, to).split(path.sep).join('/');
+}
+
+// =============================================================================
+// SNAPSHOT
+// =============================================================================
+
+// Stands in for the live page's scripts: the Life OS tab and goal details are only
+// reachable through these toggles (.view and .goal-details are hidden by default)
+const SNAPSHOT_SCRIPT = `<script>
+    document.addEventListener('click', event => {
+      const tab = event.target.closest('.tab[data-view]');
+      if (tab) {
+        document.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t === tab));
+        document.querySelectorAll('.view').forEach(v => v.classList.toggle('active', v.id === tab.dataset.view));
+        document.querySelector('.tabs')?.classList.remove('open');
+        document.getElementById('hamburger')?.classList.remove('active');
+        return;
+      }
+      if (event.target.closest('#hamburger')) {
+        document.getElementById('hamburger').classList.toggle('active');
+        document.querySelector('.tabs')?.classList.toggle('open');
+        return;
+      }
+      const card = event.target.closest('.goal-card');
+      if (card) {
+        const expand = !card.classList.contains('expanded');
+        document.querySelectorAll('.goal-card').forEach(c => c.classList.remove('expanded'));
+        card.classList.toggle('expanded', expand);
+      }
+    });
+  </script>`;
+
+/**
+ * Static copy of the rendered page: the live scripts and inline event handlers are
+ * replaced by SNAPSHOT_SCRIPT, and a banner links back to the history page.
+ */
+function buildSnapshotHtml(html, { takenAt, historyHref }) {
+  const banner = `<div style="position: sticky; top: 0; z-index: 1000; padding: 8px 16px; background: #1f2937; color: #e5e7eb; font: 13px -apple-system, sans-serif; text-align: center;">` +
+    `📸 Snapshot from ${takenAt} · <a href="${historyHref}" style="color: #60a5fa;">History</a></div>`;
+
+  return html
+    .replace(/<script\b[\s\S]*?<\/script>\s*/gi, '')
+    .replace(/\s+on[a-z]+="[^"]*"/gi, '')
+    .replace(/<body([^>]*)>/i, match => `${match}\n  ${banner}`)
+    .replace(/<\/body>/i, match => `  ${SNAPSHOT_SCRIPT}\n${match}`);
+}
+
+function writeSnapshot(dir, date, html, state) {
+  const target = path.join(dir, date);
+  fs.mkdirSync(target, { recursive: true });
+  fs.writeFileSync(path.join(target, 'index.html'), html);
+  fs.writeFileSync(path.join(target, 'state.json'), JSON.stringify(state, null, 2));
+  return target;
+}
+
+/**
+ * Delete snapshots older than `retentionDays` before `today`, then the oldest beyond
+ * `maxSnapshots` (0 turns either limit off). Returns the deleted dates.
+ */
+function pruneSnapshots(dir, today, { retentionDays = 0, maxSnapshots = 0 } = {}) {
+  const dates = listSnapshots(dir);
+  const cutoff = retentionDays > 0
+    ? new Date(new Date(`${today}T00:00:00Z`).getTime() - retentionDays * DAY_MS).toISOString().split('T')[0]
+    : null;
+  const expired = dates.filter((date, i) =>
+    (cutoff && date < cutoff) || (maxSnapshots > 0 && i < dates.length - maxSnapshots));
+
+  for (const date of expired) {
+    fs.rmSync(path.join(dir, date), { recursive: true, force: true });
+  }
+  return expired;
+}
+
+// =============================================================================
+// HISTORY PAGE
+// =============================================================================
+
+function readSnapshotMetrics(dir, date) {
+  try {
+    const state = JSON.parse(fs.readFileSync(path.join(dir, date, 'state.json'), 'utf8'));
+    const metrics = {};
+    for (const metric of SNAPSHOT_METRICS) {
+      const value = metric.read(state);
+      metrics[metric.key] = typeof value === 'number' ? value : null;
+    }
+    return { lastUpdated: state.lastUpdated || null, metrics };
+  } catch (err) {
+    return { lastUpdated: null, metrics: {} };
+  }
+}
+
+/**
+ * history.html: pick two dates (each snaps back to the latest snapshot on or
+ * before it) and compare their metrics side by side. All data is embedded, so
+ * the page works straight from disk.
+ */
+function buildHistoryPage(dir, historyPath, { title = 'Dashboard History' } = {}) {
+  const dates = listSnapshots(dir);
+  const snapshots = {};
+  for (const date of dates) snapshots[date] = readSnapshotMetrics(dir, date);
+
+  const pageData = {
+    base: relativeUrl(path.dirname(historyPath), dir),
+    dates,
+    snapshots,
+    metrics: SNAPSHOT_METRICS.map(({ key, label, better }) => ({ key, label, better: better || null }))
+  };
+  // Keep "</script>" in any string from closing the data block early
+  const json = JSON.stringify(pageData).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>
+    body { margin: 0; padding: 24px; background: #0d1117; color: #e6edf3; font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+    h1 { font-size: 20px; margin: 0 0 16px; }
+    a { color: #58a6ff; }
+    .pickers { display: flex; gap: 24px; flex-wrap: wrap; margin-bottom: 16px; }
+    .picker label { display: block; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; color: #8b949e; margin-bottom: 4px; }
+    .picker input { background: #161b22; color: #e6edf3; border: 1px solid #30363d; border-radius: 6px; padding: 6px 8px; }
+    .picker .resolved { font-size: 12px; color: #8b949e; margin-top: 4px; }
+    table { border-collapse: collapse; width: 100%; max-width: 720px; }
+    th, td { padding: 8px 12px; border-bottom: 1px solid #30363d; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    th { font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; color: #8b949e; }
+    .better { color: #3fb950; }
+    .worse { color: #f85149; }
+    .same { color: #8b949e; }
+    .all { margin-top: 24px; font-size: 12px; color: #8b949e; line-height: 1.8; }
+  </style>
+</head>
+<body>
+  <h1>📸 ${title}</h1>
+  <div id="empty" hidden>No snapshots yet — one is written on every dashboard update.</div>
+  <div id="compare">
+    <div class="pickers">
+      <div class="picker"><label for="date-a">Compare</label><input type="date" id="date-a"><div class="resolved" id="resolved-a"></div></div>
+      <div class="picker"><label for="date-b">With</label><input type="date" id="date-b"><div class="resolved" id="resolved-b"></div></div>
+    </div>
+    <table>
+      <thead><tr><th>Metric</th><th id="head-a"></th><th id="head-b"></th><th>Change</th></tr></thead>
+      <tbody id="rows"></tbody>
+    </table>
+  </div>
+  <div class="all" id="all"></div>
+  <script id="snapshot-data" type="application/json">${json}</script>
+  <script>
+    const DATA = JSON.parse(document.getElementById('snapshot-data').textContent);
+    const link = (date, file, text) => '<a href="' + DATA.base + '/' + date + '/' + file + '">' + text + '</a>';
+
+    // Latest snapshot on or before the picked date, else the earliest one
+    function resolveDate(picked) {
+      const earlier = DATA.dates.filter(date => date <= picked);
+      return earlier.length > 0 ? earlier[earlier.length - 1] : DATA.dates[0];
+    }
+
+    function formatValue(value) {
+      if (value === null || value === undefined) return '—';
+      return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+
+    function render() {
+      const a = resolveDate(document.getElementById('date-a').value);
+      const b = resolveDate(document.getElementById('date-b').value);
+      document.getElementById('resolved-a').innerHTML = link(a, 'index.html', 'Open ' + a) + ' · ' + link(a, 'state.json', 'state');
+      document.getElementById('resolved-b').innerHTML = link(b, 'index.html', 'Open ' + b) + ' · ' + link(b, 'state.json', 'state');
+      document.getElementById('head-a').textContent = a;
+      document.getElementById('head-b').textContent = b;
+
+      document.getElementById('rows').innerHTML = DATA.metrics.map(metric => {
+        const before = DATA.snapshots[a].metrics[metric.key];
+        const after = DATA.snapshots[b].metrics[metric.key];
+        let change = '', cls = 'same';
+        if (typeof before === 'number' && typeof after === 'number') {
+          const delta = Math.round((after - before) * 100) / 100;
+          change = delta > 0 ? '+' + formatValue(delta) : delta < 0 ? formatValue(delta) : '=';
+          if (delta !== 0 && metric.better) cls = (delta > 0) === (metric.better === 'up') ? 'better' : 'worse';
+        }
+        return '<tr><td>' + metric.label + '</td><td>' + formatValue(before) + '</td><td>' + formatValue(after) +
+          '</td><td class="' + cls + '">' + change + '</td></tr>';
+      }).join('');
+    }
+
+    if (DATA.dates.length === 0) {
+      document.getElementById('empty').hidden = false;
+      document.getElementById('compare').hidden = true;
+    } else {
+      const first = DATA.dates[0];
+      const last = DATA.dates[DATA.dates.length - 1];
+      for (const id of ['date-a', 'date-b']) {
+        const input = document.getElementById(id);
+        input.min = first;
+        input.max = last;
+        input.addEventListener('change', render);
+      }
+      document.getElementById('date-a').value = DATA.dates[Math.max(DATA.dates.length - 2, 0)];
+      document.getElementById('date-b').value = last;
+      document.getElementById('all').innerHTML = 'All snapshots: ' +
+        DATA.dates.slice().reverse().map(date => link(date, 'index.html', date)).join(' · ');
+      render();
+    }
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  SNAPSHOT_METRICS,
+  listSnapshots,
+  relativeUrl,
+  buildSnapshotHtml,
+  writeSnapshot,
+  pruneSnapshots,
+  buildHistoryPage
+};
@@ -0,0 +1,177 @@
+/**
+ * Model Spend
+ * Prices session token usage (input, output, cache read/write) per model and keeps
+ * estimated spend per session, per day, per model and per cron job. Session usage
+ * counters are cumulative, so each run charges the growth since the previous run;
+ * a counter that went down means the session was reset and its value is new usage.
+ */
+
+const fs = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SESSION_RETENTION_DAYS = 30;
+const DAY_RETENTION_DAYS = 400;
+
+const USAGE_KINDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+/**
+ * USD per million tokens. Model ids match by longest prefix (a provider prefix
+ * like "anthropic/" is ignored), so dated ids use their family's rates.
+ * config.pricing.models adds to or overrides these.
+ */
+const DEFAULT_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 }
+};
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function addDays(day, offset) {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + offset * DAY_MS).toISOString().split('T')[0];
+}
+
+function priceFor(model, prices) {
+  if (!model) return null;
+  const id = model.split('/').pop().toLowerCase();
+  const match = Object.keys(prices)
+    .filter(prefix => id.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+function usageCost(usage, rates) {
+  return USAGE_KINDS.reduce((sum, kind) => sum + (usage[kind] || 0) * (rates[kind] || 0) / 1e6, 0);
+}
+
+// Growth of the cumulative counters since `previous`; all of `current` after a reset
+function usageDelta(current, previous) {
+  if (!previous || USAGE_KINDS.some(kind => (current[kind] || 0) < (previous[kind] || 0))) return current;
+  return Object.fromEntries(USAGE_KINDS.map(kind => [kind, (current[kind] || 0) - (previous[kind] || 0)]));
+}
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+function loadSpendHistory(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const history = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { recordedAt: history.recordedAt || null, sessions: history.sessions || {}, days: history.days || {} };
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Could not load spend history: ${err.message}`);
+  }
+  return { recordedAt: null, sessions: {}, days: {} };
+}
+
+function saveSpendHistory(filePath, history) {
+  fs.writeFileSync(filePath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Charge this run's usage growth to `day`. Sessions are { key, name, model, usage, cronId }.
+ * The first run only records baselines: sessions already running then have usage
+ * from before spend tracking that shouldn't all land on one day.
+ */
+function recordSpend(history, sessions, day, prices, now = new Date()) {
+  const firstRun = !history.recordedAt;
+  const totals = history.days[day] || (history.days[day] = { total: 0, byModel: {}, byCron: {}, unpricedTokens: 0 });
+
+  for (const session of sessions) {
+    if (!session.usage) continue;
+    const entry = history.sessions[session.key] || { cost: 0 };
+    const delta = usageDelta(session.usage, entry.usage);
+    Object.assign(entry, { name: session.name, model: session.model, usage: session.usage, cronId: session.cronId || null, seenAt: now.toISOString() });
+    history.sessions[session.key] = entry;
+    if (firstRun) continue;
+
+    const rates = priceFor(session.model, prices);
+    if (!rates) {
+      totals.unpricedTokens += USAGE_KINDS.reduce((sum, kind) => sum + (delta[kind] || 0), 0);
+      continue;
+    }
+    const cost = usageCost(delta, rates);
+    entry.cost = roundCost(entry.cost + cost);
+    totals.total = roundCost(totals.total + cost);
+    totals.byModel[session.model] = roundCost((totals.byModel[session.model] || 0) + cost);
+    if (session.cronId) totals.byCron[session.cronId] = roundCost((totals.byCron[session.cronId] || 0) + cost);
+  }
+  history.recordedAt = now.toISOString();
+
+  const sessionCutoff = new Date(now.getTime() - SESSION_RETENTION_DAYS * DAY_MS).toISOString();
+  for (const [key, entry] of Object.entries(history.sessions)) {
+    if (entry.seenAt < sessionCutoff) delete history.sessions[key];
+  }
+  const dayCutoff = addDays(day, -DAY_RETENTION_DAYS);
+  for (const key of Object.keys(history.days)) {
+    if (key < dayCutoff) delete history.days[key];
+  }
+  return history;
+}
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+/**
+ * Today's and month-to-date spend, budget status (ok / warning / over), the most
+ * expensive crons this month and this run's sessions by estimated lifetime cost.
+ */
+function summarizeSpend(history, today, { dailyBudget = 0, warnPercent = 80, topCrons = 5, sessionKeys = [], cronNames = {} } = {}) {
+  const day = history.days[today] || { total: 0, byModel: {}, byCron: {}, unpricedTokens: 0 };
+  const month = today.slice(0, 7);
+  const monthDays = Object.entries(history.days).filter(([key]) => key.startsWith(month) && key <= today);
+
+  const cronTotals = {};
+  for (const [, totals] of monthDays) {
+    for (const [cronId, cost] of Object.entries(totals.byCron)) {
+      cronTotals[cronId] = (cronTotals[cronId] || 0) + cost;
+    }
+  }
+
+  const budgetPercent = dailyBudget > 0 ? Math.round((day.total / dailyBudget) * 100) : null;
+  let status = 'ok';
+  if (budgetPercent !== null && budgetPercent >= 100) status = 'over';
+  else if (budgetPercent !== null && budgetPercent >= warnPercent) status = 'warning';
+
+  return {
+    today: {
+      date: today,
+      cost: roundCost(day.total),
+      budget: dailyBudget || null,
+      budgetPercent,
+      status,
+      byModel: day.byModel,
+      unpricedTokens: day.unpricedTokens
+    },
+    monthToDate: {
+      month,
+      cost: roundCost(monthDays.reduce((sum, [, totals]) => sum + totals.total, 0)),
+      days: monthDays.length
+    },
+    topCrons: Object.entries(cronTotals)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topCrons)
+      .map(([id, cost]) => ({ id, name: cronNames[id] || id, cost: roundCost(cost) })),
+    sessions: sessionKeys
+      .filter(key => history.sessions[key])
+      .map(key => ({ key, name: history.sessions[key].name, model: history.sessions[key].model, cost: history.sessions[key].cost }))
+      .sort((a, b) => b.cost - a.cost)
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  priceFor,
+  loadSpendHistory,
+  saveSpendHistory,
+  recordSpend,
+  summarizeSpend
+};
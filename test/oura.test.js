@@ -0,0 +1,79 @@
+/**
+ * Oura client against the fixture-backed fake API: next_token pagination, 429 retries
+ * with Retry-After, token rejection and the body-stats reduction.
+ *
+ * Run: node --test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+
+const { createFakeOuraServer, FIXTURES_DIR } = require('../oura-fake-server');
+const { OuraApiError, createOuraClient, fetchOuraBodyStats } = require('../oura');
+
+const NEWEST_FIXTURE_DAY = '2026-01-30';
+
+function fixtureItems(collection) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${collection}.json`), 'utf8')).data;
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+describe('oura client', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // Pages of 2 and a 429 on every third request: every collection needs several pages
+    // and some of them are retried
+    server = createFakeOuraServer({ pageSize: 2, rateLimitEvery: 3, shiftDays: false });
+    baseUrl = await listen(server);
+  });
+
+  after(() => server.close());
+
+  test('list() follows next_token across pages and retries 429s', async () => {
+    const client = createOuraClient({ token: 'fake', baseUrl });
+    const rateLimitedBefore = server.stats.rateLimited;
+
+    const items = await client.list('sleep', { startDate: '2026-01-01', endDate: '2026-02-01' });
+
+    assert.deepEqual(items.map(item => item.id), fixtureItems('sleep').map(item => item.id));
+    assert.ok(server.stats.rateLimited > rateLimitedBefore, 'expected at least one 429 to be retried');
+  });
+
+  test('list() applies the date range on the server side', async () => {
+    const client = createOuraClient({ token: 'fake', baseUrl });
+
+    const items = await client.list('daily_sleep', { startDate: '2026-01-29', endDate: '2026-02-01' });
+
+    assert.deepEqual(items.map(item => item.day), ['2026-01-29', '2026-01-30']);
+  });
+
+  test('a rejected token throws OuraApiError without retrying', async () => {
+    const client = createOuraClient({ token: '', baseUrl });
+
+    await assert.rejects(client.list('daily_sleep'), err => err instanceof OuraApiError && err.status === 401);
+  });
+
+  test('fetchOuraBodyStats() merges the newest reading of every collection', async () => {
+    const client = createOuraClient({ token: 'fake', baseUrl });
+
+    const stats = await fetchOuraBodyStats(client, { today: NEWEST_FIXTURE_DAY, lookbackDays: 7 });
+
+    assert.equal(stats.source, 'api');
+    assert.equal(stats.date, NEWEST_FIXTURE_DAY);
+    assert.equal(stats.sleep.score, 85);
+    assert.equal(stats.readiness.score, 83);
+    assert.equal(stats.resilience.level, 'solid');
+    assert.deepEqual(stats.stress, { summary: 'restored', stressMinutes: 60, recoveryMinutes: 135 });
+    // HRV and RHR come from the long sleep, not the nap on the same day
+    assert.equal(stats.hrv.average, 47);
+    assert.equal(stats.restingHeartRate, 50);
+    assert.deepEqual(stats.vo2, { current: 37, previous: 38, trend: '↓', date: '2026-01-26' });
+  });
+});
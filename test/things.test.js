@@ -0,0 +1,126 @@
+/**
+ * Things collector against the fixtures: the same to-dos read from the SQLite fixture
+ * database and from the things.py JSON export must land in the same lists with the
+ * same priority, progress and deadlines.
+ *
+ * Run: node --test (the database half needs the sqlite3 CLI)
+ */
+
+const assert = require('node:assert/strict');
+const { exec, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+
+const things = require('../things');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'things');
+const SUMMARY_OPTIONS = { priorityTags: ['Priority'], blockedTags: ['Waiting'] };
+
+function hasSqlite() {
+  try {
+    execFileSync('sqlite3', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function localDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(day, offset) {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + offset * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+function sh(command) {
+  return new Promise((resolve, reject) => {
+    exec(command, (err, stdout) => err ? reject(err) : resolve(stdout));
+  });
+}
+
+function byUuid(tasks) {
+  return Object.fromEntries(tasks.map(task => [task.uuid, task]));
+}
+
+/**
+ * Checks shared by both sources; both fixtures describe the same to-dos relative to `today`.
+ */
+function assertFixtureSummary(tasks, today, { projectProgress }) {
+  const { lists, counts, priority } = things.summarizeThings(tasks, today, SUMMARY_OPTIONS);
+  const task = byUuid(tasks);
+
+  // Lists: scheduled and due items move into Today, Someday with a date is Upcoming
+  assert.equal(task['todo-sales-page'].list, 'today');
+  assert.equal(task['todo-welcome-email'].list, 'today');
+  assert.equal(task['todo-taxes'].list, 'today');
+  assert.equal(task['todo-contractor'].list, 'upcoming');
+  assert.equal(task['todo-inbox-idea'].list, 'inbox');
+  assert.equal(task['todo-spanish'].list, 'someday');
+  assert.equal(task['todo-done-outline'].list, 'logbook');
+  assert.equal(counts.inbox, 1);
+
+  // Deadlines
+  assert.equal(task['todo-sales-page'].deadline, today);
+  assert.equal(task['todo-taxes'].daysUntilDeadline, -1);
+  assert.equal(task['todo-welcome-email'].daysUntilDeadline, 2);
+  assert.equal(task['todo-contractor'].deadline, addDays(today, 10));
+  assert.equal(task['todo-taxes'].workStatus, 'overdue');
+  assert.equal(task['todo-welcome-email'].workStatus, 'blocked');
+
+  // Priority: due/overdue or tagged is P1, due within a few days is P2, most urgent first
+  assert.deepEqual(
+    priority.map(t => [t.uuid, t.priority]),
+    [['todo-taxes', 'P1'], ['todo-sales-page', 'P1'], ['todo-podcast', 'P1'], ['todo-welcome-email', 'P2']]
+  );
+  assert.equal(task['todo-contractor'].priority, null);
+
+  // Progress: checklist for a to-do, child to-dos for a project
+  assert.deepEqual(task['todo-sales-page'].progress, { done: 2, total: 4, percent: 50, of: 'checklist' });
+  assert.deepEqual(task['proj-launch'].progress, { ...projectProgress, of: 'tasks' });
+  assert.ok(lists.today.some(t => t.uuid === 'proj-launch'), 'scheduled project shows up in Today');
+}
+
+describe('things collector', () => {
+  test('JSON export', async () => {
+    const today = '2026-10-19';
+    const tasks = await things.readThingsExport(path.join(FIXTURES_DIR, 'export.json'), {
+      completedDays: 7,
+      now: new Date(`${today}T12:00:00`)
+    });
+
+    assert.equal(byUuid(tasks)['todo-sales-page'].project, 'Course Launch');
+    assertFixtureSummary(tasks, today, { projectProgress: { done: 1, total: 3, percent: 33 } });
+  });
+
+  describe('SQLite database', { skip: !hasSqlite() && 'sqlite3 CLI not installed' }, () => {
+    let dir;
+    let dbPath;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'things-test-'));
+      dbPath = path.join(dir, 'main.sqlite');
+      execFileSync('sqlite3', [dbPath], { input: fs.readFileSync(path.join(FIXTURES_DIR, 'main.sql')) });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('reads, decodes and summarizes the fixture database', async () => {
+      const now = new Date();
+      const tasks = await things.readThingsDatabase(sh, dbPath, { completedDays: 7, now });
+      const task = byUuid(tasks);
+
+      // Trashed to-dos and ones completed before the window are left out
+      assert.equal(task['todo-trashed'], undefined);
+      assert.equal(task['todo-old-done'], undefined);
+      assert.deepEqual(task['todo-podcast'].tags, ['Priority']);
+      assert.equal(task['todo-welcome-email'].project, 'Course Launch', 'project is found through the heading');
+      assert.equal(task['todo-taxes'].area, 'Personal');
+
+      // The canceled venue counts as done, like in Things
+      assertFixtureSummary(tasks, localDate(now), { projectProgress: { done: 2, total: 4, percent: 50 } });
+    });
+  });
+});
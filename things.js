@@ -0,0 +1,262 @@
+/**
+ * Things 3 Data
+ * Reads to-dos and projects with their deadlines, tags, checklists, when-dates and
+ * completion times, either from the Things SQLite database (via the sqlite3 CLI,
+ * read-only) or from a JSON export in things.py / things-cli format, sorts them into
+ * Things' lists and works out progress and status for the Active Work card.
+ *
+ * Things stores dates as packed integers (year << 16 | month << 12 | day << 7) and
+ * timestamps as Unix seconds. For offline work, build a database from the fixture:
+ *   sqlite3 /tmp/things.sqlite < fixtures/things/main.sql
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deadlines this close (in days) make a task P2; due or overdue makes it P1
+const DEADLINE_SOON_DAYS = 3;
+
+const GROUP_CONTAINER = path.join(os.homedir(), 'Library', 'Group Containers', 'JLMPQHK86H.com.culturedcode.ThingsMac');
+
+const KINDS = { 0: 'to-do', 1: 'project' };
+const STATUSES = { 0: 'incomplete', 2: 'canceled', 3: 'completed' };
+const START_BUCKETS = { 0: 'inbox', 1: 'anytime', 2: 'someday' };
+
+// One row per to-do or project; tags and checklist items come back as JSON arrays.
+// Project rows also count their to-dos (directly or under a heading), done or not.
+const TASKS_QUERY = `
+SELECT
+  t.uuid, t.type, t.title, t.notes, t.status, t.start, t.startDate, t.deadline,
+  t.stopDate, t.creationDate, t.todayIndex, t."index" AS sortIndex,
+  COALESCE(p.title, hp.title) AS project,
+  COALESCE(a.title, pa.title) AS area,
+  (SELECT json_group_array(tag.title) FROM TMTaskTag tt JOIN TMTag tag ON tag.uuid = tt.tags
+    WHERE tt.tasks = t.uuid) AS tags,
+  (SELECT json_group_array(json_object('title', c.title, 'done', c.status = 3)) FROM
+    (SELECT * FROM TMChecklistItem WHERE task = t.uuid ORDER BY "index") c) AS checklist,
+  (SELECT COUNT(*) FROM TMTask c LEFT JOIN TMTask ch ON ch.uuid = c.heading
+    WHERE c.type = 0 AND c.trashed = 0 AND t.type = 1 AND (c.project = t.uuid OR ch.project = t.uuid)) AS childTotal,
+  (SELECT COUNT(*) FROM TMTask c LEFT JOIN TMTask ch ON ch.uuid = c.heading
+    WHERE c.type = 0 AND c.trashed = 0 AND c.status != 0 AND t.type = 1 AND (c.project = t.uuid OR ch.project = t.uuid)) AS childDone
+FROM TMTask t
+LEFT JOIN TMTask p ON p.uuid = t.project
+LEFT JOIN TMTask h ON h.uuid = t.heading
+LEFT JOIN TMTask hp ON hp.uuid = h.project
+LEFT JOIN TMArea a ON a.uuid = t.area
+LEFT JOIN TMArea pa ON pa.uuid = COALESCE(p.area, hp.area)
+WHERE t.type IN (0, 1) AND t.trashed = 0
+  AND (t.status = 0 OR t.stopDate >= :completedSince)
+ORDER BY t.todayIndex, t."index"`;
+
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+function decodeThingsDate(packed) {
+  if (!packed) return null;
+  const year = packed >> 16;
+  const month = (packed >> 12) & 0xf;
+  const day = (packed >> 7) & 0x1f;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function fromUnixSeconds(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function parseJsonColumn(value) {
+  try {
+    return JSON.parse(value || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Find main.sqlite in the Things group container (newer builds nest it in ThingsData-*).
+ */
+function findThingsDatabase() {
+  if (!fs.existsSync(GROUP_CONTAINER)) return null;
+  const candidates = fs.readdirSync(GROUP_CONTAINER)
+    .filter(name => name.startsWith('ThingsData-'))
+    .map(name => path.join(GROUP_CONTAINER, name))
+    .concat(GROUP_CONTAINER)
+    .map(dir => path.join(dir, 'Things Database.thingsdatabase', 'main.sqlite'));
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+// =============================================================================
+// SOURCES
+// =============================================================================
+
+/**
+ * Query the database with `sh(command)` (the collector's shell runner).
+ */
+async function readThingsDatabase(sh, dbPath, { sqlite3 = 'sqlite3', completedDays = 7, now = new Date() } = {}) {
+  const completedSince = Math.floor(now.getTime() / 1000) - completedDays * 24 * 60 * 60;
+  const sql = TASKS_QUERY.replace(':completedSince', completedSince).replace(/\s+/g, ' ').trim();
+  const output = await sh(`${sqlite3} -readonly -json ${shellQuote(dbPath)} ${shellQuote(sql)}`);
+  const rows = output.trim() ? JSON.parse(output) : [];
+
+  return rows.map(row => ({
+    uuid: row.uuid,
+    kind: KINDS[row.type],
+    title: row.title || '',
+    notes: row.notes || '',
+    status: STATUSES[row.status] || 'incomplete',
+    start: START_BUCKETS[row.start] || 'anytime',
+    startDate: decodeThingsDate(row.startDate),
+    deadline: decodeThingsDate(row.deadline),
+    tags: parseJsonColumn(row.tags),
+    checklist: parseJsonColumn(row.checklist).map(item => ({ title: item.title, done: Boolean(item.done) })),
+    project: row.project || null,
+    area: row.area || null,
+    completedAt: row.status === 0 ? null : fromUnixSeconds(row.stopDate),
+    createdAt: fromUnixSeconds(row.creationDate),
+    children: row.type === 1 ? { total: row.childTotal, done: row.childDone } : null
+  }));
+}
+
+/**
+ * A project's to-dos from its nested `items` (things.py include_items, headings
+ * flattened), else from the export's to-dos pointing at it.
+ */
+function exportProjectChildren(project, items) {
+  const nested = (project.items || []).flatMap(item => item.type === 'heading' ? item.items || [] : [item]);
+  const children = nested.length > 0
+    ? nested.filter(item => (item.type || 'to-do') === 'to-do')
+    : items.filter(item => (item.type || 'to-do') === 'to-do' && item.project === project.uuid);
+  const live = children.filter(item => !item.trashed);
+  return { total: live.length, done: live.filter(item => (item.status || 'incomplete') !== 'incomplete').length };
+}
+
+/**
+ * Read a things.py / things-cli JSON export (an array of to-dos and projects, or
+ * { todos } / { tasks }). Like the database query, completed items older than
+ * `completedDays` are left out.
+ */
+async function readThingsExport(filePath, { completedDays = 7, now = new Date() } = {}) {
+  const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  const items = Array.isArray(parsed) ? parsed : (parsed.todos || parsed.tasks || []);
+  const completedSince = new Date(now.getTime() - completedDays * DAY_MS).toISOString();
+
+  const tasks = items
+    .filter(item => ['to-do', 'project'].includes(item.type || 'to-do') && !item.trashed)
+    .map(item => ({
+      uuid: item.uuid,
+      kind: item.type || 'to-do',
+      title: item.title || '',
+      notes: item.notes || '',
+      status: item.status || 'incomplete',
+      start: (item.start || 'Anytime').toLowerCase(),
+      startDate: item.start_date || null,
+      deadline: item.deadline || null,
+      tags: item.tags || [],
+      checklist: (item.checklist || []).map(c => ({ title: c.title, done: c.status === 'completed' })),
+      project: item.project_title || null,
+      area: item.area_title || null,
+      completedAt: item.stop_date ? new Date(item.stop_date.replace(' ', 'T')).toISOString() : null,
+      createdAt: item.created ? new Date(item.created.replace(' ', 'T')).toISOString() : null,
+      children: item.type === 'project' ? exportProjectChildren(item, items) : null
+    }));
+  return tasks.filter(task => task.status === 'incomplete' || (task.completedAt && task.completedAt >= completedSince));
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+function daysUntil(date, today) {
+  return Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Which list a to-do shows up in, mirroring Things: scheduled or due items move
+ * into Today once their date arrives.
+ */
+function listFor(task, today) {
+  if (task.status !== 'incomplete') return 'logbook';
+  if (task.start === 'inbox') return 'inbox';
+  if ((task.startDate && task.startDate <= today) || (task.deadline && task.deadline <= today)) return 'today';
+  if (task.start === 'someday') return task.startDate ? 'upcoming' : 'someday';
+  return 'anytime';
+}
+
+/**
+ * P1: due today/overdue or tagged with a priority tag. P2: deadline within a few days.
+ */
+function taskPriority(task, today, priorityTags) {
+  if (task.status !== 'incomplete') return null;
+  const tags = task.tags.map(t => t.toLowerCase());
+  if (priorityTags.some(tag => tags.includes(tag.toLowerCase()))) return 'P1';
+  if (!task.deadline) return null;
+  const days = daysUntil(task.deadline, today);
+  if (days <= 0) return 'P1';
+  return days <= DEADLINE_SOON_DAYS ? 'P2' : null;
+}
+
+/**
+ * Percent done: completed/total child to-dos for a project, checked items for a
+ * to-do with a checklist, null when there is nothing to measure.
+ */
+function taskProgress(task) {
+  const { done, total } = task.children || {
+    done: task.checklist.filter(c => c.done).length,
+    total: task.checklist.length
+  };
+  if (total === 0) return null;
+  return { done, total, percent: Math.round((done / total) * 100), of: task.children ? 'tasks' : 'checklist' };
+}
+
+/**
+ * Active Work status: blocked by a tag, overdue, scheduled for today, or open.
+ */
+function workStatus(task, today, blockedTags) {
+  const tags = task.tags.map(t => t.toLowerCase());
+  if (blockedTags.some(tag => tags.includes(tag.toLowerCase()))) return 'blocked';
+  if (task.deadline && task.deadline < today) return 'overdue';
+  return task.list === 'today' ? 'today' : 'open';
+}
+
+/**
+ * Sort normalized to-dos into lists, counts and a priority list (most urgent first).
+ */
+function summarizeThings(tasks, today, { priorityTags = [], blockedTags = [] } = {}) {
+  const lists = { today: [], upcoming: [], anytime: [], someday: [], inbox: [], logbook: [] };
+
+  for (const task of tasks) {
+    task.list = listFor(task, today);
+    task.priority = taskPriority(task, today, priorityTags);
+    task.daysUntilDeadline = task.deadline ? daysUntil(task.deadline, today) : null;
+    task.checklistDone = task.checklist.filter(c => c.done).length;
+    task.progress = taskProgress(task);
+    task.workStatus = workStatus(task, today, blockedTags);
+    lists[task.list].push(task);
+  }
+  lists.upcoming.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  lists.logbook.sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+
+  const priority = tasks
+    .filter(t => t.priority)
+    .sort((a, b) => a.priority.localeCompare(b.priority) ||
+      (a.daysUntilDeadline ?? Infinity) - (b.daysUntilDeadline ?? Infinity));
+
+  const counts = { total: 0 };
+  for (const [name, items] of Object.entries(lists)) {
+    counts[name] = items.length;
+    if (name !== 'logbook') counts.total += items.length;
+  }
+
+  return { lists, counts, priority };
+}
+
+module.exports = {
+  decodeThingsDate,
+  findThingsDatabase,
+  readThingsDatabase,
+  readThingsExport,
+  summarizeThings
+};
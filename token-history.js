@@ -0,0 +1,124 @@
+/**
+ * Session Token History
+ * Records totalTokens/contextTokens for every session key on each run and forecasts
+ * when a session will reach its memory flush and compaction thresholds from the
+ * recent burn rate. A drop in token count means the session was compacted (or
+ * reset), so only samples since the last drop count towards the rate.
+ */
+
+const fs = require('fs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Samples closer together than this don't give a usable rate
+const MIN_RATE_SPAN_MS = 5 * 60 * 1000;
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+function loadTokenHistory(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const history = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { sessions: history.sessions || {} };
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Could not load token history: ${err.message}`);
+  }
+  return { sessions: {} };
+}
+
+function saveTokenHistory(filePath, history) {
+  fs.writeFileSync(filePath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Append one { at, used, total } sample per session that reports token usage and
+ * drop samples (and sessions) older than `retentionDays`.
+ */
+function recordTokenSamples(history, sessions, now = new Date(), retentionDays = 7) {
+  const at = now.toISOString();
+  for (const session of sessions) {
+    if (!session.key || !session.totalTokens || !session.contextTokens) continue;
+    const samples = history.sessions[session.key] || (history.sessions[session.key] = []);
+    samples.push({ at, used: session.totalTokens, total: session.contextTokens });
+  }
+
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * HOUR_MS).toISOString();
+  for (const [key, samples] of Object.entries(history.sessions)) {
+    const kept = samples.filter(sample => sample.at >= cutoff);
+    if (kept.length > 0) {
+      history.sessions[key] = kept;
+    } else {
+      delete history.sessions[key];
+    }
+  }
+  return history;
+}
+
+// =============================================================================
+// FORECAST
+// =============================================================================
+
+// Samples since the last time the token count went down
+function currentSegment(samples) {
+  let start = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i].used < samples[i - 1].used) start = i;
+  }
+  return samples.slice(start);
+}
+
+function hoursUntil(threshold, used, tokensPerHour) {
+  if (used >= threshold) return 0;
+  return tokensPerHour > 0 ? (threshold - used) / tokensPerHour : null;
+}
+
+/**
+ * Burn rate and threshold ETAs for one session's samples, or null without samples.
+ * Rates come from the oldest and newest samples of the current segment within
+ * `rateWindowHours`; ETAs are null while usage isn't growing.
+ */
+function forecastContext(samples, now = new Date(), { rateWindowHours = 3, reserveTokens = 20000, memoryFlushTokens = 4000 } = {}) {
+  if (!samples || samples.length === 0) return null;
+  const latest = samples[samples.length - 1];
+  const windowStart = new Date(now.getTime() - rateWindowHours * HOUR_MS).toISOString();
+  const recent = currentSegment(samples).filter(sample => sample.at >= windowStart);
+
+  let tokensPerHour = null;
+  if (recent.length >= 2) {
+    const first = recent[0];
+    const spanMs = new Date(latest.at) - new Date(first.at);
+    if (spanMs >= MIN_RATE_SPAN_MS) tokensPerHour = Math.round((latest.used - first.used) / (spanMs / HOUR_MS));
+  }
+
+  const compactionAt = Math.max(latest.total - reserveTokens, 0);
+  const flushAt = Math.max(compactionAt - memoryFlushTokens, 0);
+  const eta = threshold => {
+    const hours = hoursUntil(threshold, latest.used, tokensPerHour);
+    return hours === null ? null : {
+      hours: Math.round(hours * 10) / 10,
+      at: new Date(new Date(latest.at).getTime() + hours * HOUR_MS).toISOString()
+    };
+  };
+
+  return {
+    used: latest.used,
+    total: latest.total,
+    percent: Math.round((latest.used / latest.total) * 100),
+    sampledAt: latest.at,
+    samples: recent.length,
+    tokensPerHour,
+    memoryFlush: eta(flushAt),
+    compaction: eta(compactionAt),
+    limit: eta(latest.total)
+  };
+}
+
+module.exports = {
+  loadTokenHistory,
+  saveTokenHistory,
+  recordTokenSamples,
+  forecastContext
+};
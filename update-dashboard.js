@@ -6,126 +6,396 @@
  * Features:
  * - Cron job health monitoring
  * - Things 3 task integration
- * - Activity log tracking (what Hal did overnight)
- * - Active agent/subagent status panel
+ * - Activity log tracking, merged with memory daily logs (what Hal did overnight)
+ * - Active agent/subagent status panel, with per-session token history and a context forecast
+ * - Coming Up deadlines merged with local .ics calendars, exported as dashboard.ics
+ * - Daily static snapshots of the dashboard, browsable in history.html
  * - Auto-updates dashboard HTML with live data
+ *
+ * Usage: update-dashboard.js [--dry-run] [--config dashboard.config.json]
+ *        update-dashboard.js queue list [--status pending|approved|rejected|completed|all] [--json]
+ *        update-dashboard.js queue add <title> [--description text] [--type idea]
+ *        update-dashboard.js queue approve|reject|complete <id> [--reason text] [--note text]
+ *        update-dashboard.js briefing [--format markdown|text|json] [--sections health,crons,...] [--out briefing.md]
+ *        update-dashboard.js activity [--source memory] [--action text] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--limit 20] [--json]
+ * Paths, commands, timezone and limits come from config.js (see dashboard.config.example.json).
  */
 
-const { execSync } = require('child_process');
+const { exec } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { ConfigError, loadConfig } = require('./config');
+const { loadCronHistory, saveCronHistory, recordCronSnapshot, summarizeCron } = require('./cron-history');
+const alerting = require('./alerts');
+const approvalQueue = require('./approval-queue');
+const activityArchive = require('./activity-archive');
+const scorecardHistory = require('./scorecard');
+const oura = require('./oura');
+const bodyHistory = require('./body-history');
+const tokenHistory = require('./token-history');
+const sessionTree = require('./session-tree');
+const spend = require('./spend');
+const briefing = require('./briefing');
+const snapshots = require('./snapshots');
+const things = require('./things');
+const ics = require('./ics');
 
-const WORKSPACE = '/Users/Hal/clawd';
-const DASHBOARD_DIR = path.join(WORKSPACE, 'dashboard');
-const MEMORY_DIR = path.join(WORKSPACE, 'memory');
-const ACTIVITY_LOG_PATH = path.join(DASHBOARD_DIR, 'activity-log.json');
-const LIFE_VTO_PATH = path.join(WORKSPACE, 'notes/projects/life-vto.md');
-const AWAITING_RESPONSES_PATH = path.join(WORKSPACE, 'notes/areas/awaiting-responses.md');
-const APPROVAL_QUEUE_PATH = path.join(DASHBOARD_DIR, 'approval-queue.json');
-const MAX_ACTIVITY_ITEMS = 50;
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const DASHBOARD_DIR = config.paths.dashboardDir;
+const MEMORY_DIR = config.paths.memoryDir;
+const NOTES_DIR = config.paths.notesDir;
+const HTML_PATH = config.paths.html;
+const STATE_PATH = config.paths.state;
+const ACTIVITY_LOG_PATH = config.paths.activityLog;
+const LIFE_VTO_PATH = config.paths.lifeVto;
+const AWAITING_RESPONSES_PATH = config.paths.awaitingResponses;
+const APPROVAL_QUEUE_PATH = config.paths.approvalQueue;
+const SESSIONS_STORE_PATH = config.paths.sessionsStore;
+const HISTORY_DIR = config.paths.historyDir;
+const CRON_HISTORY_PATH = path.join(HISTORY_DIR, 'cron-runs.json');
+const ALERT_STATE_PATH = path.join(HISTORY_DIR, 'alert-state.json');
+const ROCKS_ARCHIVE_PATH = path.join(HISTORY_DIR, 'rocks-archive.json');
+const SCORECARD_HISTORY_PATH = path.join(HISTORY_DIR, 'scorecard.json');
+const BODY_HISTORY_PATH = path.join(HISTORY_DIR, 'body-metrics.json');
+const ACTIVITY_ARCHIVE_DIR = path.join(HISTORY_DIR, 'activity');
+const TOKEN_HISTORY_PATH = path.join(HISTORY_DIR, 'session-tokens.json');
+const SESSION_HISTORY_PATH = path.join(HISTORY_DIR, 'sessions.json');
+const SPEND_HISTORY_PATH = path.join(HISTORY_DIR, 'spend.json');
+const ALERTS_LOG_PATH = config.paths.alertsLog;
+const CALENDAR_FEED_PATH = config.paths.calendarFeed;
+const SNAPSHOTS_DIR = config.paths.snapshotsDir;
+const HISTORY_PAGE_PATH = config.paths.historyPage;
+const CLAWDBOT = config.commands.clawdbot;
+const SQLITE3 = config.commands.sqlite3;
+const OURA_BODY_STATS = config.commands.ouraBodyStats;
+const TIMEZONE = config.timezone;
+const LIMITS = config.limits;
+const MAX_ACTIVITY_ITEMS = LIMITS.activityItems;
+const MODEL_PRICES = { ...spend.DEFAULT_PRICES, ...config.pricing.models };
+
+// Flags that never take a value; every other --flag consumes the next argument
+const BOOLEAN_FLAGS = ['dry-run', 'json'];
+
+/**
+ * Split argv into positionals and flags. A value flag that is last or followed by
+ * another flag is listed in `missingValues` rather than read as `true`.
+ */
+function parseCliArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  const missingValues = [];
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].match(/^--(.+)$/);
+    if (!flag) {
+      positionals.push(argv[i]);
+    } else if (BOOLEAN_FLAGS.includes(flag[1])) {
+      flags[flag[1]] = true;
+    } else if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+      missingValues.push(flag[1]);
+    } else {
+      flags[flag[1]] = argv[++i];
+    }
+  }
+  return { positionals, flags, missingValues };
+}
+
+const CLI = parseCliArgs(process.argv.slice(2));
+const DRY_RUN = Boolean(CLI.flags['dry-run']);
+
+// =============================================================================
+// COLLECTOR PIPELINE
+// =============================================================================
+
+/**
+ * @typedef {Object} Collector
+ * @property {string} name - Key of this source's value in the collected data
+ * @property {number} timeout - Milliseconds before the source is abandoned
+ * @property {(ctx: CollectorContext) => Promise<*>} run - Fetches the source's value
+ * @property {*} defaultValue - Used when `run` throws or times out
+ */
+
+/**
+ * @typedef {Object} CollectorContext
+ * @property {(command: string) => Promise<string>} sh - Runs a shell command; identical
+ *   commands within one pipeline run share a single process
+ * @property {AbortSignal} signal - Aborted when the collector times out
+ */
+
+/**
+ * @typedef {Object} DashboardData
+ * @property {Object} crons - getCronDetailedStatus()
+ * @property {Object} things - getThingsData()
+ * @property {Array} tasks - Things Today list (deriveTaskViews)
+ * @property {Object} agents - getActiveAgents(), plus tree and recentlyFinished (updateSessionLifecycle)
+ * @property {Array} dailyLogs - getRecentDailyLogs(), with each log's activities
+ * @property {Object} overnight - buildOvernightDigest()
+ * @property {Object} oura - getOuraBodyStats()
+ * @property {Object} lifeOS - getLifeOSData()
+ * @property {Object} taskCounts - Things list counts (deriveTaskViews)
+ * @property {Array} awaitingResponses - getAwaitingResponses()
+ * @property {Array} approvalItems - getApprovalQueueItems()
+ * @property {Array} priorityTasks - Things to-dos with a P1/P2 priority (deriveTaskViews)
+ * @property {Object} spend - Estimated model spend today, month to date and per cron/session (updateSpend)
+ * @property {Object} systemStatus - getSystemStatus(), plus the main session's contextForecast (updateTokenHistory)
+ * @property {Array} calendarEvents - getCalendarEvents()
+ * @property {Object<string, {ok: boolean, ms: number, error?: string}>} collectorStatus
+ */
+
+const COLLECTORS = [];
+
+/**
+ * Add a data source to the pipeline. Its value lands in DashboardData[name].
+ * @param {Collector} collector
+ */
+function registerCollector(collector) {
+  const { name, timeout, run } = collector;
+  if (!name || typeof run !== 'function' || !(timeout > 0)) {
+    throw new Error(`Invalid collector "${name}": name, timeout and run are required`);
+  }
+  if (COLLECTORS.some(c => c.name === name)) {
+    throw new Error(`Collector "${name}" is already registered`);
+  }
+  COLLECTORS.push(collector);
+}
+
+function createShell() {
+  const running = new Map();
+  return function sh(command, { timeout } = {}) {
+    if (!running.has(command)) {
+      running.set(command, new Promise((resolve, reject) => {
+        exec(command, { encoding: 'utf8', timeout, maxBuffer: 10 * 1024 * 1024 }, (err, stdout) => {
+          if (err) reject(err);
+          else resolve(stdout);
+        });
+      }));
+    }
+    return running.get(command);
+  };
+}
+
+function runWithTimeout(collector, sh) {
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`timed out after ${collector.timeout}ms`));
+    }, collector.timeout);
+  });
+  const ctx = {
+    sh: command => sh(command, { timeout: collector.timeout }),
+    signal: controller.signal
+  };
+  return Promise.race([Promise.resolve().then(() => collector.run(ctx)), timedOut])
+    .finally(() => clearTimeout(timer));
+}
 
-const DRY_RUN = process.argv.includes('--dry-run');
+/**
+ * Run every registered collector concurrently.
+ * A collector that throws or times out contributes its defaultValue instead.
+ * @returns {Promise<DashboardData>}
+ */
+async function collectDashboardData(collectors = COLLECTORS) {
+  const sh = createShell();
+  const data = { collectorStatus: {} };
+  
+  await Promise.all(collectors.map(async collector => {
+    const started = Date.now();
+    try {
+      data[collector.name] = await runWithTimeout(collector, sh);
+      data.collectorStatus[collector.name] = { ok: true, ms: Date.now() - started };
+    } catch (err) {
+      console.log(`   ⚠️ ${collector.name} collector failed: ${err.message}`);
+      data[collector.name] = structuredClone(collector.defaultValue);
+      data.collectorStatus[collector.name] = { ok: false, ms: Date.now() - started, error: err.message };
+    }
+  }));
+  
+  return data;
+}
 
 // =============================================================================
 // DATA COLLECTION
 // =============================================================================
 
+// =============================================================================
+// TIME HELPERS
+// =============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds the configured timezone is ahead of UTC at the given instant
+function timezoneOffsetMs(timestampMs, timeZone = TIMEZONE) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  for (const part of formatter.formatToParts(new Date(timestampMs))) {
+    parts[part.type] = parseInt(part.value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestampMs / 1000) * 1000;
+}
+
+/**
+ * Parse a wall-clock date written in notes ("2026-01-28", "2026-01-28 14:30",
+ * "2026-01-28 2:30 PM") as local time in the configured timezone.
+ * Falls back to Date parsing for other formats; returns null if unparseable.
+ */
+function parseLocalDateTime(str) {
+  if (!str) return null;
+  const match = str.match(/(\d{4})-(\d{2})-(\d{2})(?:[ T]+(\d{1,2}):(\d{2})\s*(AM|PM)?)?/i);
+  if (!match) {
+    const date = new Date(str);
+    return isNaN(date) ? null : date;
+  }
+  
+  const [, year, month, day, hourStr = '0', minute = '0', meridiem] = match;
+  let hour = parseInt(hourStr) % (meridiem ? 12 : 24);
+  if (meridiem && meridiem.toUpperCase() === 'PM') hour += 12;
+  
+  const wallClock = Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), hour, parseInt(minute));
+  return new Date(wallClock - timezoneOffsetMs(wallClock));
+}
+
+function daysBetween(earlier, later = new Date()) {
+  return Math.floor((later.getTime() - earlier.getTime()) / DAY_MS);
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in the configured timezone
+function localDateString(date = new Date()) {
+  return new Date(date.getTime() + timezoneOffsetMs(date.getTime())).toISOString().split('T')[0];
+}
+
+/**
+ * Fiscal quarter containing `date`, using config.lifeOS.fiscalYearStartMonth.
+ * Fiscal years that don't start in January are named by the calendar year they end in.
+ */
+function getFiscalQuarter(date = new Date()) {
+  const startMonth = config.lifeOS.fiscalYearStartMonth;
+  const today = localDateString(date);
+  const [year, month] = today.split('-').map(Number);
+  
+  const quarter = Math.floor(((month - startMonth + 12) % 12) / 3) + 1;
+  const fiscalYear = startMonth === 1 || month < startMonth ? year : year + 1;
+  
+  // Quarter boundaries as UTC dates; only their calendar day matters
+  const monthsIntoYear = (month - startMonth + 12) % 12;
+  const start = new Date(Date.UTC(year, month - 1 - (monthsIntoYear % 3), 1));
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 3, 0));
+  const todayUtc = new Date(`${today}T00:00:00Z`);
+  
+  return {
+    label: startMonth === 1 ? `Q${quarter} ${fiscalYear}` : `Q${quarter} FY${fiscalYear}`,
+    short: `Q${quarter}`,
+    quarter,
+    fiscalYear,
+    start: start.toISOString().split('T')[0],
+    end: end.toISOString().split('T')[0],
+    daysLeft: Math.round((end - todayUtc) / DAY_MS)
+  };
+}
+
 // =============================================================================
 // NEEDS YOU DATA (Awaiting Responses + Approval Queue + High-Priority Tasks)
 // =============================================================================
 
-function getAwaitingResponses() {
+function awaitingSlaDays(channel) {
+  const channels = config.awaiting.channelSlaDays;
+  const key = Object.keys(channels).find(name => name.toLowerCase() === channel.toLowerCase());
+  return key ? channels[key] : config.awaiting.slaDays;
+}
+
+/**
+ * Work out how long an awaiting item has been waiting, whether it is past its
+ * channel's SLA and whether it is overdue for a re-check.
+ */
+function ageAwaitingItem(item, now = new Date()) {
+  const waitingSince = parseLocalDateTime(item.date);
+  const lastChecked = parseLocalDateTime(item.lastChecked) || waitingSince;
+  const slaDays = awaitingSlaDays(item.channel);
+  
+  item.waitingSince = waitingSince ? waitingSince.toISOString() : null;
+  item.waitingDays = waitingSince ? daysBetween(waitingSince, now) : null;
+  item.slaDays = slaDays;
+  item.overdue = item.waitingDays !== null && item.waitingDays >= slaDays;
+  item.daysSinceCheck = lastChecked ? daysBetween(lastChecked, now) : null;
+  item.needsRecheck = item.daysSinceCheck !== null && item.daysSinceCheck >= config.awaiting.recheckDays;
+  return item;
+}
+
+async function getAwaitingResponses() {
   console.log('📨 Collecting awaiting responses...');
-  try {
-    const content = fs.readFileSync(AWAITING_RESPONSES_PATH, 'utf8');
-    const activeSection = content.match(/## Active\s*([\s\S]*?)(?=## Closed|$)/);
-    if (!activeSection) return [];
-    
-    const items = [];
-    const lines = activeSection[1].split('\n');
-    let currentItem = null;
-    
-    for (const line of lines) {
-      // Match active items: - [ ] [DATE TIME] [CHANNEL] ...
-      const itemMatch = line.match(/^- \[ \] \[([^\]]+)\] \[([^\]]+)\] (.+)/);
-      if (itemMatch) {
-        if (currentItem) items.push(currentItem);
-        currentItem = {
-          date: itemMatch[1],
-          channel: itemMatch[2],
-          title: itemMatch[3].substring(0, 80),
-          type: 'awaiting',
-          whereToCheck: null
-        };
-      } else if (currentItem && line.includes('Where to check:')) {
-        currentItem.whereToCheck = line.replace(/.*Where to check:\s*/, '').trim();
-      } else if (currentItem && line.includes('**Checked')) {
-        // Extract last check status
-        const checkMatch = line.match(/\*\*Checked ([^*]+)\*\*:\s*(.+)/);
-        if (checkMatch) {
-          currentItem.lastChecked = checkMatch[1];
-          currentItem.status = checkMatch[2].substring(0, 60);
-        }
+  const content = await fs.promises.readFile(AWAITING_RESPONSES_PATH, 'utf8');
+  const activeSection = content.match(/## Active\s*([\s\S]*?)(?=## Closed|$)/);
+  if (!activeSection) return [];
+  
+  const items = [];
+  const lines = activeSection[1].split('\n');
+  let currentItem = null;
+  
+  for (const line of lines) {
+    // Match active items: - [ ] [DATE TIME] [CHANNEL] ...
+    const itemMatch = line.match(/^- \[ \] \[([^\]]+)\] \[([^\]]+)\] (.+)/);
+    if (itemMatch) {
+      if (currentItem) items.push(currentItem);
+      currentItem = {
+        date: itemMatch[1],
+        channel: itemMatch[2],
+        title: itemMatch[3].substring(0, 80),
+        type: 'awaiting',
+        whereToCheck: null
+      };
+    } else if (currentItem && line.includes('Where to check:')) {
+      currentItem.whereToCheck = line.replace(/.*Where to check:\s*/, '').trim();
+    } else if (currentItem && line.includes('**Checked')) {
+      // Extract last check status
+      const checkMatch = line.match(/\*\*Checked ([^*]+)\*\*:\s*(.+)/);
+      if (checkMatch) {
+        currentItem.lastChecked = checkMatch[1];
+        currentItem.status = checkMatch[2].substring(0, 60);
       }
     }
-    if (currentItem) items.push(currentItem);
-    
-    console.log(`   Found ${items.length} awaiting responses`);
-    return items;
-  } catch (err) {
-    console.log(`   ⚠️ Failed to read awaiting responses: ${err.message}`);
-    return [];
   }
+  if (currentItem) items.push(currentItem);
+  
+  const now = new Date();
+  items.forEach(item => ageAwaitingItem(item, now));
+  
+  const overdue = items.filter(i => i.overdue).length;
+  const recheck = items.filter(i => i.needsRecheck).length;
+  console.log(`   Found ${items.length} awaiting responses (${overdue} past SLA, ${recheck} need re-check)`);
+  return items;
 }
 
-function getApprovalQueueItems() {
+async function getApprovalQueueItems() {
   console.log('✅ Collecting approval queue items...');
-  try {
-    const data = JSON.parse(fs.readFileSync(APPROVAL_QUEUE_PATH, 'utf8'));
-    const items = (data.pendingApproval || []).map(item => ({
-      id: item.id,
-      title: item.title,
-      description: item.description,
-      type: 'approval',
-      addedAt: item.addedAt
-    }));
-    console.log(`   Found ${items.length} pending approvals`);
-    return items;
-  } catch (err) {
-    console.log(`   ⚠️ Failed to read approval queue: ${err.message}`);
-    return [];
-  }
-}
-
-function getHighPriorityTasks() {
-  console.log('⚡ Getting high-priority Things tasks...');
-  try {
-    // Get today tasks that are tagged or have priority indicators
-    const output = execSync('things today 2>/dev/null | head -20', { encoding: 'utf8', timeout: 10000 });
-    const lines = output.trim().split('\n').slice(1);
-    
-    const highPriority = lines
-      .map(line => {
-        const parts = line.split(/\t/);
-        if (parts.length < 2) return null;
-        return {
-          title: parts[1]?.trim(),
-          project: parts[2]?.trim() || parts[3]?.trim() || null,
-          type: 'task'
-        };
-      })
-      .filter(Boolean)
-      .slice(0, 3); // Top 3 tasks
-    
-    console.log(`   Found ${highPriority.length} priority tasks`);
-    return highPriority;
-  } catch (err) {
-    console.log(`   ⚠️ Failed to get priority tasks: ${err.message}`);
-    return [];
-  }
+  const data = JSON.parse(await fs.promises.readFile(APPROVAL_QUEUE_PATH, 'utf8'));
+  const items = (data.pendingApproval || []).map(item => ({
+    id: item.id,
+    title: item.title,
+    description: item.description,
+    type: 'approval',
+    kind: item.type,
+    addedAt: item.addedAt
+  }));
+  console.log(`   Found ${items.length} pending approvals`);
+  return items;
 }
 
-function getSystemStatus() {
+async function getSystemStatus(ctx) {
   console.log('🖥️ Collecting system status...');
   const status = {
     clawdbotVersion: 'unknown',
@@ -137,7 +407,7 @@ function getSystemStatus() {
   
   try {
     // Get Clawdbot version
-    const versionOutput = execSync('clawdbot --version 2>/dev/null || echo "unknown"', { encoding: 'utf8', timeout: 5000 });
+    const versionOutput = await ctx.sh(`${CLAWDBOT} --version 2>/dev/null || echo "unknown"`);
     status.clawdbotVersion = versionOutput.trim().replace(/^clawdbot\s+/i, '');
   } catch (err) {
     status.clawdbotVersion = 'unknown';
@@ -145,7 +415,7 @@ function getSystemStatus() {
   
   try {
     // Get main session context usage from sessions list
-    const sessionsOutput = execSync('clawdbot sessions list --json --active 60 2>/dev/null', { encoding: 'utf8', timeout: 10000 });
+    const sessionsOutput = await ctx.sh(`${CLAWDBOT} sessions list --json --active 60 2>/dev/null || echo "{}"`);
     const sessionsData = JSON.parse(sessionsOutput);
     const mainSession = (sessionsData.sessions || []).find(s => s.key === 'agent:main:main');
     if (mainSession && mainSession.totalTokens && mainSession.contextTokens) {
@@ -190,7 +460,7 @@ function getSystemStatus() {
       }
       return count;
     };
-    status.notesFileCount = countNotes(path.join(WORKSPACE, 'notes'));
+    status.notesFileCount = countNotes(NOTES_DIR);
   } catch (err) {
     // Silent fail
   }
@@ -199,469 +469,1201 @@ function getSystemStatus() {
   return status;
 }
 
-function getCronDetailedStatus() {
-  console.log('📋 Collecting detailed cron status...');
-  try {
-    const output = execSync('clawdbot cron list', { encoding: 'utf8', timeout: 30000 });
-    const lines = output.trim().split('\n').slice(1);
-    
-    const crons = lines.map(line => {
-      const id = line.substring(0, 36).trim();
-      const name = line.substring(37, 61).trim();
-      const schedule = line.substring(61, 94).trim();
-      const next = line.substring(94, 105).trim();
-      const last = line.substring(105, 116).trim();
-      const status = line.substring(116, 126).trim().toLowerCase();
-      
-      if (!id || !name) return null;
-      
-      // Determine color based on status
-      let color = 'green';
-      if (status === 'error') color = 'red';
-      else if (status === 'running') color = 'blue';
-      else if (last === '-' || last === 'never') color = 'orange';
-      
-      return { 
-        id, 
-        name, 
-        schedule, 
-        next, 
-        last,
-        status: status || 'unknown',
-        color
-      };
-    }).filter(Boolean);
-    
-    const healthy = crons.filter(c => c.status === 'ok' || c.status === 'idle').length;
-    const errors = crons.filter(c => c.status === 'error');
-    const neverRun = crons.filter(c => c.last === '-' || c.last === 'never');
-    
-    console.log(`   Found ${crons.length} crons (${healthy} healthy, ${errors.length} errors, ${neverRun.length} never run)`);
-    return { crons, healthy, total: crons.length, errors, neverRun };
-  } catch (err) {
-    console.log(`   ⚠️ Failed to get cron status: ${err.message}`);
-    return { crons: [], healthy: 0, total: 0, errors: [], neverRun: [] };
+// =============================================================================
+// CRON LIST PARSING
+// =============================================================================
+
+const CRON_STATUSES = ['ok', 'idle', 'error', 'running', 'skipped', 'disabled', 'unknown', ''];
+
+// Header labels (lowercased) -> cron fields; anything else is kept as a boundary only
+const CRON_COLUMN_ALIASES = {
+  id: 'id',
+  name: 'name',
+  schedule: 'schedule',
+  next: 'next',
+  last: 'last',
+  status: 'status'
+};
+
+function formatRelativeTime(timestampMs, now = Date.now()) {
+  if (!timestampMs) return '-';
+  const minutes = Math.round((timestampMs - now) / 60000);
+  const abs = Math.abs(minutes);
+  const value = abs >= 1440 ? `${Math.floor(abs / 1440)}d` : abs >= 60 ? `${Math.floor(abs / 60)}h` : `${abs}m`;
+  if (abs < 1) return minutes >= 0 ? 'now' : 'just now';
+  return minutes >= 0 ? `in ${value}` : `${value} ago`;
+}
+
+function formatCronScheduleObject(schedule) {
+  if (!schedule || typeof schedule === 'string') return schedule || '';
+  if (schedule.kind === 'cron') return `cron ${schedule.expr}${schedule.tz ? ` @ ${schedule.tz}` : ''}`;
+  if (schedule.kind === 'every' && schedule.everyMs) {
+    const minutes = Math.round(schedule.everyMs / 60000);
+    return minutes % 1440 === 0 ? `every ${minutes / 1440}d` : minutes % 60 === 0 ? `every ${minutes / 60}h` : `every ${minutes}m`;
   }
+  if (schedule.kind === 'at' && schedule.atMs) return `at ${new Date(schedule.atMs).toISOString()}`;
+  return JSON.stringify(schedule);
 }
 
-function getLifeOSData() {
-  console.log('🌟 Collecting Life OS data from life-vto.md...');
-  try {
-    const content = fs.readFileSync(LIFE_VTO_PATH, 'utf8');
-    
-    // Parse Q1 2026 Rocks - look for the rocks section and extract table rows
-    const rocks = [];
-    const rocksSection = content.match(/### 6\. ROCKS[\s\S]*?(?=###|$)/);
-    if (rocksSection) {
-      const lines = rocksSection[0].split('\n');
-      for (const line of lines) {
-        // Match lines like: | 1 | Land 1 new consulting client (non-WB) | Jordan | ☐ |
-        if (line.match(/^\|\s*\d+\s*\|/)) {
-          const parts = line.split('|').map(p => p.trim()).filter(Boolean);
-          if (parts.length >= 4) {
-            rocks.push({
-              number: parseInt(parts[0]) || rocks.length + 1,
-              description: parts[1],
-              owner: parts[2],
-              done: parts[3].includes('☑') || parts[3].includes('✓') || parts[3].toLowerCase() === 'yes' || parts[3].toLowerCase() === 'done'
-            });
-          }
-        }
-      }
-    }
-    
-    // Parse Weekly Scorecard metrics
-    const scorecard = [];
-    const scorecardSection = content.match(/### 7\. WEEKLY SCORECARD[\s\S]*?(?=###|$)/);
-    if (scorecardSection) {
-      const lines = scorecardSection[0].split('\n');
-      for (const line of lines) {
-        // Match metric rows - lines starting with | but not header or separator
-        if (line.startsWith('|') && !line.includes('Metric') && !line.match(/^\|[-\s|]+\|$/)) {
-          const parts = line.split('|').map(p => p.trim()).filter(Boolean);
-          if (parts.length >= 2 && parts[0] && !parts[0].match(/^[-]+$/)) {
-            scorecard.push({
-              metric: parts[0],
-              target: parts[1] || '',
-              actual: parts[2] || ''
-            });
-          }
-        }
-      }
+/**
+ * Normalize `clawdbot cron list --json` output ({ jobs: [...] } or a bare array)
+ * into the same row shape the table parser produces.
+ */
+function parseCronListJson(output) {
+  const parsed = JSON.parse(output);
+  const jobs = Array.isArray(parsed) ? parsed : (parsed.jobs || parsed.crons || []);
+  const rows = [];
+  const warnings = [];
+  
+  for (const job of jobs) {
+    const id = job.id || job.jobId;
+    if (!id) {
+      warnings.push({ line: JSON.stringify(job).substring(0, 120), reason: 'job has no id' });
+      continue;
     }
+    if (job.enabled === false) continue;
     
-    // Parse 1-Year Goals for progress calculation
-    const goals = {
-      income: { target: '$400K+ total, $150K+ non-WB', progress: 0 },
-      body: { target: 'Hit 172-175 (cut)', progress: 0 },
-      relationship: { target: 'Dating consistently OR in relationship', progress: 0 },
-      freedom: { target: '2+ multi-day sailing trips', progress: 0 },
-      lifeQuality: { target: 'Perform at 3+ open mics', progress: 0 }
-    };
-    
-    // Calculate rock completion progress
-    const rocksCompleted = rocks.filter(r => r.done).length;
-    const rocksTotal = rocks.length;
-    const rockProgress = rocksTotal > 0 ? Math.round((rocksCompleted / rocksTotal) * 100) : 0;
-    
-    // Map rocks to goal areas for progress calculation
-    // Rock 1: Land client (Income)
-    // Rock 2: Website (Income)
-    // Rock 3: LinkedIn (Income/Freedom)
-    // Rock 4: Weight 175 (Body)
-    // Rock 5: Speaking gig (Income/Freedom)
-    // Rock 6: 3+ dates (Relationship)
-    // Rock 7: Reach out to colleagues (Freedom)
-    // Rock 8: Playmakers Guild (Income)
-    
-    const incomeRocks = rocks.filter(r => [1, 2, 3, 5, 8].includes(r.number));
-    const bodyRocks = rocks.filter(r => [4].includes(r.number));
-    const relationshipRocks = rocks.filter(r => [6].includes(r.number));
-    const freedomRocks = rocks.filter(r => [3, 5, 7].includes(r.number));
-    
-    goals.income.progress = Math.round((incomeRocks.filter(r => r.done).length / incomeRocks.length) * 100) || 0;
-    goals.body.progress = Math.round((bodyRocks.filter(r => r.done).length / bodyRocks.length) * 100) || 0;
-    goals.relationship.progress = Math.round((relationshipRocks.filter(r => r.done).length / relationshipRocks.length) * 100) || 0;
-    goals.freedom.progress = Math.round((freedomRocks.filter(r => r.done).length / freedomRocks.length) * 100) || 0;
-    goals.lifeQuality.progress = 60; // Keep as qualitative for now
+    const state = job.state || {};
+    const lastRunAt = state.lastRunAtMs || job.lastRunAtMs || null;
+    const nextRunAt = state.nextRunAtMs || job.nextRunAtMs || null;
+    let status = (state.lastStatus || job.status || (lastRunAt ? 'ok' : 'idle')).toLowerCase();
+    if (state.runningAtMs) status = 'running';
     
-    // Calculate days until Q1 ends (March 31, 2026)
-    const q1End = new Date('2026-03-31');
-    const now = new Date();
-    const daysUntilQ1End = Math.ceil((q1End - now) / (1000 * 60 * 60 * 24));
-    
-    console.log(`   Found ${rocks.length} rocks (${rocksCompleted} done), ${scorecard.length} scorecard metrics`);
-    console.log(`   Q1 ends in ${daysUntilQ1End} days`);
-    
-    return {
-      rocks,
-      scorecard,
-      goals,
-      rockProgress,
-      rocksCompleted,
-      rocksTotal,
-      daysUntilQ1End
-    };
-  } catch (err) {
-    console.log(`   ⚠️ Failed to parse life-vto.md: ${err.message}`);
-    return {
-      rocks: [],
-      scorecard: [],
-      goals: {},
-      rockProgress: 0,
-      rocksCompleted: 0,
-      rocksTotal: 0,
-      daysUntilQ1End: 60
-    };
+    rows.push({
+      id: String(id),
+      name: job.name || String(id),
+      schedule: formatCronScheduleObject(job.schedule),
+      next: formatRelativeTime(nextRunAt),
+      nextRunAt: nextRunAt ? new Date(nextRunAt).toISOString() : null,
+      last: formatRelativeTime(lastRunAt),
+      status
+    });
   }
+  
+  return { rows, warnings };
 }
 
-function getThingsTaskCounts() {
-  console.log('📊 Getting Things 3 task counts...');
-  try {
-    const todayOutput = execSync('things today 2>/dev/null | tail -n +2 | wc -l', { encoding: 'utf8', timeout: 10000 });
-    const inboxOutput = execSync('things inbox 2>/dev/null | tail -n +2 | wc -l', { encoding: 'utf8', timeout: 10000 });
-    
-    const todayCount = parseInt(todayOutput.trim()) || 0;
-    const inboxCount = parseInt(inboxOutput.trim()) || 0;
-    
-    console.log(`   Today: ${todayCount} tasks, Inbox: ${inboxCount} tasks`);
-    return { today: todayCount, inbox: inboxCount, total: todayCount + inboxCount };
-  } catch (err) {
-    console.log(`   ⚠️ Failed to get task counts: ${err.message}`);
-    return { today: 0, inbox: 0, total: 0 };
+/**
+ * Find column boundaries from the header line of the plain-text table.
+ */
+function detectCronColumns(headerLine) {
+  const columns = [];
+  for (const match of headerLine.matchAll(/\S+/g)) {
+    const label = match[0].toLowerCase();
+    columns.push({ label, field: CRON_COLUMN_ALIASES[label] || null, start: match.index });
+  }
+  if (!columns.some(c => c.field === 'id') || !columns.some(c => c.field === 'name')) {
+    throw new Error(`Unrecognized cron list header: "${headerLine.trim()}"`);
   }
+  return columns;
 }
 
-function getOuraBodyStats() {
-  console.log('💪 Collecting Oura body stats...');
-  try {
-    const output = execSync('/Users/Hal/clawd/scripts/get-oura-body-stats.sh', { 
-      encoding: 'utf8', 
-      timeout: 60000 
-    });
-    const data = JSON.parse(output.trim());
-    
-    // Parse resilience: "adequate|52.2|49.2|40.6"
-    const [resLevel, sleepRec, dayRec, stressContrib] = (data.resilience || '').split('|');
-    
-    // Parse stress: "stressful|15300|5400"
-    const [stressSummary, stressHigh, recoveryHigh] = (data.stress || '').split('|');
-    
-    // Parse VO2: "37|2026-01-26"
-    const [vo2, vo2Date] = (data.vo2 || '').split('|');
-    const prevVo2 = parseInt(data.prevVo2) || 0;
-    const currentVo2 = parseInt(vo2) || 0;
-    
-    // Calculate VO2 trend
-    let vo2Trend = '';
-    if (currentVo2 > prevVo2) vo2Trend = '↑';
-    else if (currentVo2 < prevVo2) vo2Trend = '↓';
-    else vo2Trend = '→';
-    
-    const result = {
-      resilience: {
-        level: resLevel || 'unknown',
-        sleepRecovery: parseFloat(sleepRec) || 0,
-        daytimeRecovery: parseFloat(dayRec) || 0,
-        stress: parseFloat(stressContrib) || 0
-      },
-      stress: {
-        summary: stressSummary || 'unknown',
-        stressMinutes: parseInt(stressHigh) || 0,
-        recoveryMinutes: parseInt(recoveryHigh) || 0
-      },
-      vo2: {
-        current: currentVo2,
-        previous: prevVo2,
-        trend: vo2Trend,
-        date: vo2Date
+/**
+ * Slice one table row using header-derived boundaries. When a cell overflows
+ * into the next column, it runs to the next gap and later boundaries shift right.
+ */
+function splitCronRow(line, columns) {
+  const cells = {};
+  let drift = 0;
+  let start = columns[0].start;
+  
+  for (let i = 0; i < columns.length; i++) {
+    let end = line.length;
+    let nextStart = line.length;
+    if (i + 1 < columns.length) {
+      end = nextStart = Math.min(columns[i + 1].start + drift, line.length);
+      if (end > 0 && end < line.length && line[end - 1] !== ' ' && line[end] !== ' ') {
+        // Cell ran into the next column: extend it to the next gap
+        const gap = line.slice(end).search(/\s|$/);
+        end += gap;
+        nextStart = end + line.slice(end).search(/\S|$/);
+        drift = nextStart - columns[i + 1].start;
       }
-    };
-    
-    console.log(`   Resilience: ${result.resilience.level}, Stress: ${result.stress.summary}, VO2: ${result.vo2.current} ${result.vo2.trend}`);
-    return result;
-  } catch (err) {
-    console.log(`   ⚠️ Failed to get Oura stats: ${err.message}`);
-    return {
-      resilience: { level: 'unknown' },
-      stress: { summary: 'unknown' },
-      vo2: { current: 0, trend: '' }
-    };
+    }
+    if (columns[i].field) cells[columns[i].field] = line.substring(start, end).trim();
+    start = nextStart;
   }
+  
+  return cells;
 }
 
-function getCronStatus() {
-  console.log('📋 Collecting cron status...');
-  try {
-    const output = execSync('clawdbot cron list', { encoding: 'utf8', timeout: 30000 });
-    const lines = output.trim().split('\n').slice(1); // Skip header
-    
-    const crons = lines.map(line => {
-      // Parse fixed-width columns from clawdbot cron list
-      const id = line.substring(0, 36).trim();
-      const name = line.substring(37, 61).trim();
-      const schedule = line.substring(61, 94).trim();
-      const next = line.substring(94, 105).trim();
-      const last = line.substring(105, 116).trim();
-      const status = line.substring(116, 126).trim().toLowerCase();
-      
-      if (!id || !name) return null;
-      
-      return { id, name, schedule, next, last, status: status || 'unknown' };
-    }).filter(Boolean);
-    
-    const healthy = crons.filter(c => c.status === 'ok' || c.status === 'idle').length;
-    const errors = crons.filter(c => c.status === 'error');
+function parseCronListTable(output) {
+  const lines = output.split('\n').filter(line => line.trim());
+  const rows = [];
+  const warnings = [];
+  if (lines.length === 0) return { rows, warnings };
+  
+  const columns = detectCronColumns(lines[0]);
+  for (const line of lines.slice(1)) {
+    const cells = splitCronRow(line, columns);
+    const status = (cells.status || '').toLowerCase();
     
-    console.log(`   Found ${crons.length} crons (${healthy} healthy, ${errors.length} errors)`);
-    return { crons, healthy, total: crons.length, errors };
-  } catch (err) {
-    console.log(`   ⚠️ Failed to get cron status: ${err.message}`);
-    return { crons: [], healthy: 0, total: 0, errors: [] };
+    if (!cells.id || !cells.name) {
+      warnings.push({ line: line.trim(), reason: 'missing id or name' });
+    } else if (!CRON_STATUSES.includes(status)) {
+      warnings.push({ line: line.trim(), reason: `unexpected status "${cells.status}"` });
+    } else {
+      rows.push({
+        id: cells.id,
+        name: cells.name,
+        schedule: cells.schedule || '',
+        next: cells.next || '',
+        // The table only has relative times ("in 3h"), too coarse for the calendar feed
+        nextRunAt: null,
+        last: cells.last || '',
+        status
+      });
+    }
   }
+  
+  return { rows, warnings };
 }
 
-function getThingsTasks() {
-  console.log('📝 Collecting Things 3 tasks...');
+async function getCronDetailedStatus(ctx) {
+  console.log('📋 Collecting detailed cron status...');
+  
+  // Prefer structured output; older clawdbot builds only print the table
+  let parsed = null;
+  let source = 'json';
   try {
-    const output = execSync('things today', { encoding: 'utf8', timeout: 30000 });
-    const lines = output.trim().split('\n').slice(1); // Skip header
+    parsed = parseCronListJson(await ctx.sh(`${CLAWDBOT} cron list --json 2>/dev/null`));
+  } catch (err) {
+    source = 'table';
+    parsed = parseCronListTable(await ctx.sh(`${CLAWDBOT} cron list`));
+  }
+  
+  const crons = parsed.rows.map(row => {
+    const { last, status } = row;
     
-    const tasks = lines.map(line => {
-      const parts = line.split(/\t/);
-      if (parts.length < 2) return null;
-      
-      return {
-        uuid: parts[0]?.trim(),
-        title: parts[1]?.trim(),
-        project: parts[2]?.trim() || null,
-        area: parts[3]?.trim() || null,
-        status: parts[5]?.trim() || 'incomplete'
-      };
-    }).filter(Boolean);
+    // Determine color based on status
+    let color = 'green';
+    if (status === 'error') color = 'red';
+    else if (status === 'running') color = 'blue';
+    else if (last === '-' || last === 'never') color = 'orange';
     
-    console.log(`   Found ${tasks.length} tasks`);
-    return tasks;
-  } catch (err) {
-    console.log(`   ⚠️ Failed to get Things tasks: ${err.message}`);
-    return [];
+    return { 
+      ...row,
+      status: status || 'unknown',
+      color
+    };
+  });
+  
+  const healthy = crons.filter(c => c.status === 'ok' || c.status === 'idle').length;
+  const errors = crons.filter(c => c.status === 'error');
+  const neverRun = crons.filter(c => c.last === '-' || c.last === 'never');
+  
+  console.log(`   Found ${crons.length} crons via ${source} (${healthy} healthy, ${errors.length} errors, ${neverRun.length} never run)`);
+  for (const warning of parsed.warnings) {
+    console.log(`   ⚠️ Skipped cron row (${warning.reason}): ${warning.line}`);
   }
+  return { crons, healthy, total: crons.length, errors, neverRun, warnings: parsed.warnings, source };
 }
 
-function parseAge(ageStr) {
-  // Parse age strings like "just now", "1m", "2m", "1h ago", "3h ago", "1d ago"
-  if (!ageStr) return 9999;
-  if (ageStr === 'just now') return 0;
-  
-  // Match patterns like "1m", "2h ago", "3d ago"
-  const match = ageStr.match(/(\d+)(m|h|d)/);
-  if (match) {
-    const num = parseInt(match[1]);
-    const unit = match[2];
-    if (unit === 'm') return num;
-    if (unit === 'h') return num * 60;
-    if (unit === 'd') return num * 60 * 24;
-  }
-  return 9999;
+// =============================================================================
+// LIFE OS (life-vto.md)
+// =============================================================================
+
+// Goal area name -> id used in state.json and slot names ("Life Quality" -> lifeQuality)
+function goalId(name) {
+  return name
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map((word, i) => i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
 }
 
-function getActiveAgents() {
-  console.log('🤖 Checking active agents/sessions...');
-  try {
-    // Use JSON output to get full session data
-    const output = execSync('clawdbot sessions list --json --active 60 2>/dev/null || echo "{}"', { 
-      encoding: 'utf8', 
-      timeout: 10000 
-    });
-    
-    let data = {};
-    try {
-      data = JSON.parse(output);
-    } catch (e) {
-      console.log('   ⚠️ Could not parse JSON, falling back to empty');
-      return { all: [], active: [], count: 1 };
-    }
-    
-    // JSON has { sessions: [...] } wrapper
-    const sessions = data.sessions || [];
-    
-    // Load session labels directly from Clawdbot sessions store
-    let sessionLabels = {};
-    try {
-      const sessionsPath = '/Users/Hal/.clawdbot/agents/main/sessions/sessions.json';
-      if (fs.existsSync(sessionsPath)) {
-        const sessionsData = JSON.parse(fs.readFileSync(sessionsPath, 'utf8'));
-        for (const [key, value] of Object.entries(sessionsData)) {
-          if (value.label) {
-            sessionLabels[key] = value.label;
-          }
-        }
-      }
-    } catch (e) {
-      // Silent fail on sessions file
-    }
-    
-    const agents = sessions.map(s => {
-      const key = s.key || '';
-      
-      // Determine agent type and name from key
-      let agentType = 'unknown';
-      let agentName = s.label || key; // Use label if available!
-      
-      // Get label from sessions store
-      const sessionLabel = sessionLabels[key];
-      
-      if (key.includes(':cron:')) {
-        agentType = 'cron';
-        // Use label if available, otherwise extract cron name from key
-        const cronName = sessionLabel || key.split(':cron:')[1] || 'Cron job';
-        agentName = cronName;
-      } else if (key.includes(':subag')) {
-        agentType = 'subagent';
-        // Use session label (this is the task description!)
-        agentName = sessionLabel || 'Sub-agent';
-      } else if (key === 'agent:main:main') {
-        agentType = 'main';
-        agentName = 'Main session';
-      } else if (key.includes(':slack')) {
-        agentType = 'slack';
-        agentName = sessionLabel || 'Slack session';
-      }
-      
-      // Calculate age from updatedAt
-      const updatedAt = s.updatedAt ? new Date(s.updatedAt) : new Date();
-      const ageMs = Date.now() - updatedAt.getTime();
-      const ageMinutes = Math.floor(ageMs / 60000);
-      let age = 'just now';
-      if (ageMinutes >= 1440) age = `${Math.floor(ageMinutes / 1440)}d ago`;
-      else if (ageMinutes >= 60) age = `${Math.floor(ageMinutes / 60)}h ago`;
-      else if (ageMinutes >= 1) age = `${ageMinutes}m`;
-      
-      // Token usage
-      let tokenUsage = null;
-      if (s.totalTokens && s.contextTokens) {
-        const percent = Math.round((s.totalTokens / s.contextTokens) * 100);
-        tokenUsage = {
-          used: `${Math.round(s.totalTokens / 1000)}k`,
-          total: `${Math.round(s.contextTokens / 1000)}k`,
-          percent
-        };
-      }
-      
-      const isActive = ageMinutes < 30;
-      
-      return {
-        key,
-        kind: s.kind || 'unknown',
-        agentType,
-        agentName,
-        age,
-        model: s.model,
-        tokenUsage,
-        isActive
-      };
-    });
-    
-    // Filter to show meaningful agents
-    const activeAgents = agents.filter(a => a.isActive || a.agentType === 'main' || a.agentType === 'subagent');
-    const runningCount = agents.filter(a => a.isActive).length;
-    
-    console.log(`   Found ${agents.length} sessions, ${runningCount} active`);
-    return { all: agents, active: activeAgents, count: runningCount };
-  } catch (err) {
-    console.log(`   ⚠️ Failed to get sessions: ${err.message}`);
-    return { all: [], active: [], count: 1 };
-  }
+function splitTableRow(line) {
+  return line.split('|').slice(1, -1).map(cell => cell.trim());
 }
 
-function getRecentDailyLogs() {
-  console.log('📖 Collecting recent daily logs...');
-  try {
-    const today = new Date();
-    const logs = [];
+function isTableSeparator(line) {
+  return /^\|[\s:|-]+\|$/.test(line.trim());
+}
+
+// Section body from a heading matching `pattern` up to the next heading
+function findSection(content, pattern) {
+  const lines = content.split('\n');
+  const start = lines.findIndex(line => /^#{1,6}\s/.test(line) && pattern.test(line));
+  if (start === -1) return null;
+  const end = lines.findIndex((line, i) => i > start && /^#{1,6}\s/.test(line));
+  return lines.slice(start + 1, end === -1 ? undefined : end);
+}
+
+/**
+ * Parse the 1-Year Goals section. Accepts a table (| Area | Goal | ...) or
+ * bullets ("- **Income:** $400K+ total").
+ */
+function parseOneYearGoals(content) {
+  const section = findSection(content, /1[- ]YEAR\s+(GOALS|PLAN)/i);
+  const goals = {};
+  if (!section) return goals;
+  
+  for (const line of section) {
+    let area = null;
+    let target = null;
     
-    // Get last 3 days
-    for (let i = 0; i < 3; i++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-      const logPath = path.join(MEMORY_DIR, `${dateStr}.md`);
-      
-      if (fs.existsSync(logPath)) {
-        const content = fs.readFileSync(logPath, 'utf8');
-        const title = content.split('\n')[0]?.replace(/^#\s*/, '') || dateStr;
-        logs.push({ date: dateStr, title, path: logPath });
+    if (line.trim().startsWith('|') && !isTableSeparator(line)) {
+      const cells = splitTableRow(line.trim());
+      if (cells.length >= 2 && !/^(area|goal|category)$/i.test(cells[0])) {
+        [area, target] = cells;
       }
+    } else {
+      const bullet = line.match(/^\s*[-*]\s+(?:\*\*)?([^:*]+?)(?:\*\*)?\s*:\s*(?:\*\*)?\s*(.+)$/);
+      if (bullet) [, area, target] = bullet;
     }
     
-    console.log(`   Found ${logs.length} recent logs`);
-    return logs;
-  } catch (err) {
-    console.log(`   ⚠️ Failed to read daily logs: ${err.message}`);
-    return [];
+    area = area?.replace(/\*\*/g, '').replace(/^[^A-Za-z0-9]+/, '').trim();
+    if (area && target) {
+      goals[goalId(area)] = { name: area, target: target.replace(/\*\*/g, '').trim(), progress: null, rocks: 0 };
+    }
   }
+  
+  return goals;
 }
 
-// =============================================================================
-// ACTIVITY LOG MANAGEMENT
-// =============================================================================
+// Rocks table columns, matched against header cells; positions are the fallback when there is no header
+const ROCK_COLUMNS = {
+  number: { pattern: /^#|^no\.?$|^num/i, position: 0 },
+  description: { pattern: /rock|description/i, position: 1 },
+  owner: { pattern: /owner|who/i, position: 2 },
+  done: { pattern: /done|status|complete|✓/i, position: 3 },
+  goal: { pattern: /goal|area/i, position: null }
+};
 
-function loadActivityLog() {
-  try {
-    if (fs.existsSync(ACTIVITY_LOG_PATH)) {
-      return JSON.parse(fs.readFileSync(ACTIVITY_LOG_PATH, 'utf8'));
-    }
-  } catch (err) {
-    console.log(`   ⚠️ Could not load activity log: ${err.message}`);
+function parseRocksTable(lines) {
+  const rows = lines.filter(line => line.trim().startsWith('|') && !isTableSeparator(line)).map(line => splitTableRow(line.trim()));
+  const header = rows.find(cells => !/^\d+$/.test(cells[0]));
+  
+  const columns = {};
+  for (const [field, { pattern, position }] of Object.entries(ROCK_COLUMNS)) {
+    const taken = Object.values(columns);
+    const index = header ? header.findIndex((cell, i) => !taken.includes(i) && pattern.test(cell)) : -1;
+    columns[field] = index !== -1 ? index : position;
   }
-  return [];
-}
+  
+  const rocks = [];
+  for (const cells of rows) {
+    // Match rows like: | 1 | Land 1 new consulting client (non-WB) | Jordan | ☐ | Income |
+    if (cells === header || !/^\d+$/.test(cells[columns.number] || '')) continue;
+    const done = (cells[columns.done] || '').toLowerCase();
+    rocks.push({
+      number: parseInt(cells[columns.number]),
+      description: cells[columns.description] || '',
+      owner: cells[columns.owner] || '',
+      done: done.includes('☑') || done.includes('✓') || done.includes('✅') || done === 'yes' || done === 'done',
+      goals: columns.goal !== null && cells[columns.goal]
+        ? cells[columns.goal].split(/[,/&+]/).map(g => g.trim()).filter(Boolean)
+        : []
+    });
+  }
+  return rocks;
+}
+
+// Goal tags written into the rock itself: "#income", "[Income]" or "(Life Quality)"
+const ROCK_TEXT_TAG = /#([A-Za-z][\w-]*)|\[([^\]]+)\]|\(([^)]+)\)/g;
+
+/**
+ * Resolve a rock's goal tags to goal ids: its Goal column, else config.lifeOS.rockGoals,
+ * else tags in the rock text. Text tags must name a goal exactly, so asides like
+ * "(non-WB)" aren't read as goals.
+ */
+function rockGoalIds(rock, goals) {
+  const configured = [].concat(config.lifeOS.rockGoals[rock.number] || []);
+  if (rock.goals.length === 0 && configured.length === 0) {
+    return [...rock.description.matchAll(ROCK_TEXT_TAG)]
+      .map(match => goalId(match[1] || match[2] || match[3]).toLowerCase())
+      .map(tag => Object.keys(goals).find(id => id.toLowerCase() === tag))
+      .filter((id, i, ids) => id && ids.indexOf(id) === i);
+  }
+  return (rock.goals.length > 0 ? rock.goals : configured)
+    .map(tag => {
+      const id = goalId(tag);
+      return goals[id] ? id : Object.keys(goals).find(key => goalId(goals[key].name).startsWith(id));
+    })
+    .filter(Boolean);
+}
+
+async function getLifeOSData() {
+  console.log('🌟 Collecting Life OS data from life-vto.md...');
+  const content = await fs.promises.readFile(LIFE_VTO_PATH, 'utf8');
+  
+  const rocksSection = findSection(content, /ROCKS/i);
+  const rocks = rocksSection ? parseRocksTable(rocksSection) : [];
+  
+  // Parse Weekly Scorecard metrics: | Metric | Target | Actual |
+  const scorecard = [];
+  for (const line of findSection(content, /WEEKLY SCORECARD/i) || []) {
+    if (!line.trim().startsWith('|') || isTableSeparator(line)) continue;
+    const [metric, target = '', actual = ''] = splitTableRow(line.trim());
+    if (!metric || /^metric$/i.test(metric)) continue;
+    scorecard.push({
+      metric,
+      target,
+      actual,
+      onTrack: scorecardHistory.evaluateMetric(target, actual)
+    });
+  }
+  
+  const goals = parseOneYearGoals(content);
+  
+  // Calculate rock completion progress
+  const rocksCompleted = rocks.filter(r => r.done).length;
+  const rocksTotal = rocks.length;
+  const rockProgress = rocksTotal > 0 ? Math.round((rocksCompleted / rocksTotal) * 100) : 0;
+  
+  // Goal progress = share of the rocks tagged with that goal that are done
+  const untagged = [];
+  for (const rock of rocks) {
+    rock.goals = rockGoalIds(rock, goals);
+    if (rock.goals.length === 0) untagged.push(rock.number);
+  }
+  for (const [id, goal] of Object.entries(goals)) {
+    const goalRocks = rocks.filter(r => r.goals.includes(id));
+    goal.rocks = goalRocks.length;
+    goal.progress = goalRocks.length > 0
+      ? Math.round((goalRocks.filter(r => r.done).length / goalRocks.length) * 100)
+      : null;
+  }
+  
+  const quarter = getFiscalQuarter();
+  
+  console.log(`   Found ${rocks.length} rocks (${rocksCompleted} done), ${Object.keys(goals).length} goals, ${scorecard.length} scorecard metrics`);
+  if (untagged.length > 0) {
+    console.log(`   ⚠️ Rocks without a goal area: ${untagged.join(', ')} (add a Goal column, a #goal tag or lifeOS.rockGoals)`);
+  }
+  console.log(`   ${quarter.label} ends in ${quarter.daysLeft} days`);
+  
+  return {
+    rocks,
+    scorecard,
+    goals,
+    rockProgress,
+    rocksCompleted,
+    rocksTotal,
+    quarter,
+    pastQuarters: []
+  };
+}
+
+async function getOuraBodyStats(ctx) {
+  console.log('💪 Collecting Oura body stats...');
+  let result = null;
+  
+  if (config.oura.token) {
+    try {
+      const client = oura.createOuraClient({ token: config.oura.token, baseUrl: config.oura.baseUrl });
+      result = await oura.fetchOuraBodyStats(client, { today: localDateString(), lookbackDays: config.oura.lookbackDays });
+    } catch (err) {
+      console.log(`   ⚠️ Oura API failed, falling back to script: ${err.message}`);
+    }
+  }
+  if (!result) {
+    result = parseOuraScriptOutput(await ctx.sh(OURA_BODY_STATS));
+  }
+  
+  const extras = [
+    result.sleep?.score != null && `Sleep: ${result.sleep.score}`,
+    result.readiness?.score != null && `Readiness: ${result.readiness.score}`,
+    result.hrv?.average != null && `HRV: ${result.hrv.average}ms`,
+    result.restingHeartRate != null && `RHR: ${result.restingHeartRate}`
+  ].filter(Boolean);
+  console.log(`   Resilience: ${result.resilience.level}, Stress: ${result.stress.summary}, VO2: ${result.vo2.current} ${result.vo2.trend} (${result.source})`);
+  if (extras.length > 0) console.log(`   ${extras.join(', ')}`);
+  return result;
+}
+
+/**
+ * Decode the pipe-delimited fields printed by get-oura-body-stats.sh.
+ */
+function parseOuraScriptOutput(output) {
+  const data = JSON.parse(output.trim());
+  
+  // Parse resilience: "adequate|52.2|49.2|40.6"
+  const [resLevel, sleepRec, dayRec, stressContrib] = (data.resilience || '').split('|');
+  
+  // Parse stress: "stressful|15300|5400" (high stress / high recovery, in seconds)
+  const [stressSummary, stressHigh, recoveryHigh] = (data.stress || '').split('|');
+  
+  // Parse VO2: "37|2026-01-26"
+  const [vo2, vo2Date] = (data.vo2 || '').split('|');
+  const prevVo2 = parseInt(data.prevVo2) || 0;
+  const currentVo2 = parseInt(vo2) || 0;
+  
+  // Calculate VO2 trend
+  let vo2Trend = '';
+  if (currentVo2 > prevVo2) vo2Trend = '↑';
+  else if (currentVo2 < prevVo2) vo2Trend = '↓';
+  else vo2Trend = '→';
+  
+  return {
+    resilience: {
+      level: resLevel || 'unknown',
+      sleepRecovery: parseFloat(sleepRec) || 0,
+      daytimeRecovery: parseFloat(dayRec) || 0,
+      stress: parseFloat(stressContrib) || 0
+    },
+    stress: {
+      summary: stressSummary || 'unknown',
+      stressMinutes: Math.round((parseInt(stressHigh) || 0) / 60),
+      recoveryMinutes: Math.round((parseInt(recoveryHigh) || 0) / 60)
+    },
+    vo2: {
+      current: currentVo2,
+      previous: prevVo2,
+      trend: vo2Trend,
+      date: vo2Date
+    },
+    // The script doesn't report these; the API client does
+    sleep: { score: null },
+    readiness: { score: null },
+    hrv: { average: null },
+    restingHeartRate: null,
+    // Day of the newest daily_* reading, used for staleness alerts. VO2 max is only
+    // measured every few days or weeks, so without one the staleness check is skipped.
+    date: data.date || null,
+    source: 'script'
+  };
+}
+
+/**
+ * Read Things to-dos from a JSON export or the Things database, per `things.source`.
+ */
+async function readThingsTasks(ctx) {
+  const { source } = config.things;
+  const exportPath = config.paths.thingsExport;
+  if (source === 'json' || (source === 'auto' && exportPath && fs.existsSync(exportPath))) {
+    const tasks = await things.readThingsExport(exportPath, { completedDays: config.things.completedDays });
+    return { source: 'json', tasks };
+  }
+  
+  const dbPath = config.paths.thingsDatabase || things.findThingsDatabase();
+  if (!dbPath) {
+    throw new Error('Things database not found; set paths.thingsDatabase or paths.thingsExport');
+  }
+  const tasks = await things.readThingsDatabase(ctx.sh, dbPath, {
+    sqlite3: SQLITE3,
+    completedDays: config.things.completedDays
+  });
+  return { source: 'sqlite', tasks };
+}
+
+async function getThingsData(ctx) {
+  console.log('📝 Collecting Things 3 tasks...');
+  const { source, tasks } = await readThingsTasks(ctx);
+  const summary = things.summarizeThings(tasks, localDateString(), {
+    priorityTags: config.things.priorityTags,
+    blockedTags: config.things.blockedTags
+  });
+  
+  const { counts } = summary;
+  console.log(`   Today: ${counts.today}, Upcoming: ${counts.upcoming}, Anytime: ${counts.anytime}, Inbox: ${counts.inbox} (${source})`);
+  console.log(`   ${summary.priority.length} priority tasks, ${counts.logbook} completed in the last ${config.things.completedDays}d`);
+  return { ...summary, source };
+}
+
+function parseAge(ageStr) {
+  // Parse age strings like "just now", "1m", "2m", "1h ago", "3h ago", "1d ago"
+  if (!ageStr) return 9999;
+  if (ageStr === 'just now') return 0;
+  
+  // Match patterns like "1m", "2h ago", "3d ago"
+  const match = ageStr.match(/(\d+)(m|h|d)/);
+  if (match) {
+    const num = parseInt(match[1]);
+    const unit = match[2];
+    if (unit === 'm') return num;
+    if (unit === 'h') return num * 60;
+    if (unit === 'd') return num * 60 * 24;
+  }
+  return 9999;
+}
+
+// Session timestamps come as epoch milliseconds or ISO strings
+function toIsoTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+async function getActiveAgents(ctx) {
+  console.log('🤖 Checking active agents/sessions...');
+  // Use JSON output to get full session data
+  const output = await ctx.sh(`${CLAWDBOT} sessions list --json --active 60 2>/dev/null || echo "{}"`);
+  
+  let data = {};
+  try {
+    data = JSON.parse(output);
+  } catch (e) {
+    console.log('   ⚠️ Could not parse JSON, falling back to empty');
+    return { all: [], active: [], count: 1 };
+  }
+  
+  // JSON has { sessions: [...] } wrapper
+  const sessions = data.sessions || [];
+  
+  // Load session metadata (labels, spawnedBy, start times) directly from Clawdbot sessions store
+  let sessionMeta = {};
+  try {
+    if (fs.existsSync(SESSIONS_STORE_PATH)) {
+      sessionMeta = JSON.parse(fs.readFileSync(SESSIONS_STORE_PATH, 'utf8'));
+    }
+  } catch (e) {
+    // Silent fail on sessions file
+  }
+  
+  const agents = sessions.map(s => {
+    const key = s.key || '';
+    const meta = sessionMeta[key] || {};
+    
+    // Determine agent type and name from key
+    const { type: agentType, parentKey } = sessionTree.parseSessionKey(key);
+    let agentName = s.label || key; // Use label if available!
+    
+    // Get label from sessions store
+    const sessionLabel = meta.label;
+    let cronId = null;
+    
+    if (agentType === 'cron') {
+      // Use label if available, otherwise extract cron name from key
+      const [cronJob, runId] = (key.split(':cron:')[1] || '').split(':run:');
+      cronId = cronJob || null;
+      const cronName = sessionLabel || (runId ? `${cronJob} run` : cronJob) || 'Cron job';
+      agentName = cronName;
+    } else if (agentType === 'subagent') {
+      // Use session label (this is the task description!)
+      agentName = sessionLabel || 'Sub-agent';
+    } else if (agentType === 'main') {
+      agentName = 'Main session';
+    } else if (agentType === 'slack') {
+      agentName = sessionLabel || 'Slack session';
+    }
+    
+    // Calculate age from updatedAt
+    const updatedAt = s.updatedAt ? new Date(s.updatedAt) : new Date();
+    const ageMs = Date.now() - updatedAt.getTime();
+    const ageMinutes = Math.floor(ageMs / 60000);
+    let age = 'just now';
+    if (ageMinutes >= 1440) age = `${Math.floor(ageMinutes / 1440)}d ago`;
+    else if (ageMinutes >= 60) age = `${Math.floor(ageMinutes / 60)}h ago`;
+    else if (ageMinutes >= 1) age = `${ageMinutes}m`;
+    
+    // Token usage
+    let tokenUsage = null;
+    if (s.totalTokens && s.contextTokens) {
+      const percent = Math.round((s.totalTokens / s.contextTokens) * 100);
+      tokenUsage = {
+        used: `${Math.round(s.totalTokens / 1000)}k`,
+        total: `${Math.round(s.contextTokens / 1000)}k`,
+        percent
+      };
+    }
+    
+    // Cumulative billing counters, when Clawdbot reports them (priced by updateSpend)
+    const usage = s.inputTokens || s.outputTokens ? {
+      input: s.inputTokens || 0,
+      output: s.outputTokens || 0,
+      cacheRead: s.cacheReadTokens ?? s.cacheRead ?? 0,
+      cacheWrite: s.cacheWriteTokens ?? s.cacheWrite ?? 0
+    } : null;
+    
+    const isActive = ageMinutes < 30;
+    
+    return {
+      key,
+      kind: s.kind || 'unknown',
+      agentType,
+      agentName,
+      age,
+      model: s.model || meta.model || null,
+      tokenUsage,
+      totalTokens: s.totalTokens || null,
+      contextTokens: s.contextTokens || null,
+      // spawnedBy is authoritative; the key only implies main session or cron job
+      parentKey: s.spawnedBy || meta.spawnedBy || parentKey,
+      startedAt: toIsoTimestamp(s.createdAt || meta.createdAt || meta.startedAt),
+      updatedAt: updatedAt.toISOString(),
+      aborted: Boolean(s.abortedLastRun ?? meta.abortedLastRun),
+      cronId,
+      usage,
+      isActive
+    };
+  });
+  
+  // Filter to show meaningful agents
+  const activeAgents = agents.filter(a => a.isActive || a.agentType === 'main' || a.agentType === 'subagent');
+  const runningCount = agents.filter(a => a.isActive).length;
+  
+  console.log(`   Found ${agents.length} sessions, ${runningCount} active`);
+  return { all: agents, active: activeAgents, count: runningCount };
+}
+
+async function getRecentDailyLogs() {
+  console.log('📖 Collecting recent daily logs...');
+  const now = Date.now();
+  const logs = [];
+  
+  // Get last N days (local calendar days, matching the log file names)
+  for (let i = 0; i < LIMITS.dailyLogs; i++) {
+    const dateStr = localDateString(new Date(now - i * DAY_MS));
+    const logPath = path.join(MEMORY_DIR, `${dateStr}.md`);
+    
+    if (fs.existsSync(logPath)) {
+      const content = fs.readFileSync(logPath, 'utf8');
+      const title = content.split('\n')[0]?.replace(/^#\s*/, '') || dateStr;
+      logs.push({ date: dateStr, title, path: logPath, activities: extractActivitiesFromDailyLog(content, dateStr) });
+    }
+  }
+  
+  const entries = logs.reduce((sum, log) => sum + log.activities.length, 0);
+  console.log(`   Found ${logs.length} recent logs (${entries} entries)`);
+  return logs;
+}
+
+/**
+ * Occurrences from the configured .ics files between the start of today and
+ * `upcoming.lookaheadDays` ahead, recurring events expanded.
+ */
+async function getCalendarEvents() {
+  console.log('📅 Reading calendar files...');
+  const files = config.upcoming.icsFiles;
+  const from = parseLocalDateTime(localDateString());
+  const until = new Date(from.getTime() + config.upcoming.lookaheadDays * DAY_MS);
+  const events = [];
+  let unreadable = 0;
+  
+  for (const file of files) {
+    try {
+      const calendar = ics.parseIcs(await fs.promises.readFile(file, 'utf8'));
+      const name = calendar.name || path.basename(file, path.extname(file));
+      for (const occurrence of ics.expandEvents(calendar, { from, until, timeZone: TIMEZONE })) {
+        events.push({ ...occurrence, calendar: name });
+      }
+    } catch (err) {
+      unreadable++;
+      console.log(`   ⚠️ Could not read calendar ${file}: ${err.message}`);
+    }
+  }
+  // Nothing readable is a failed collector, not an empty calendar
+  if (files.length > 0 && unreadable === files.length) {
+    throw new Error(`None of the ${files.length} calendar files could be read`);
+  }
+  
+  console.log(`   Found ${events.length} events in ${files.length} calendars`);
+  return events;
+}
+
+// =============================================================================
+// COLLECTOR REGISTRY
+// =============================================================================
+
+registerCollector({
+  name: 'crons',
+  timeout: 30000,
+  run: getCronDetailedStatus,
+  defaultValue: { crons: [], healthy: 0, total: 0, errors: [], neverRun: [], warnings: [], source: null }
+});
+
+registerCollector({
+  name: 'things',
+  timeout: 30000,
+  run: getThingsData,
+  defaultValue: {
+    lists: { today: [], upcoming: [], anytime: [], someday: [], inbox: [], logbook: [] },
+    counts: { today: 0, upcoming: 0, anytime: 0, someday: 0, inbox: 0, logbook: 0, total: 0 },
+    priority: [],
+    source: null
+  }
+});
+
+registerCollector({
+  name: 'agents',
+  timeout: 10000,
+  run: getActiveAgents,
+  defaultValue: { all: [], active: [], count: 1 }
+});
+
+registerCollector({
+  name: 'dailyLogs',
+  timeout: 5000,
+  run: getRecentDailyLogs,
+  defaultValue: []
+});
+
+registerCollector({
+  name: 'oura',
+  timeout: 60000,
+  run: getOuraBodyStats,
+  defaultValue: {
+    resilience: { level: 'unknown' },
+    stress: { summary: 'unknown' },
+    vo2: { current: 0, trend: '' },
+    sleep: { score: null },
+    readiness: { score: null },
+    hrv: { average: null },
+    restingHeartRate: null,
+    date: null,
+    source: null
+  }
+});
+
+registerCollector({
+  name: 'lifeOS',
+  timeout: 5000,
+  run: getLifeOSData,
+  defaultValue: {
+    rocks: [],
+    scorecard: [],
+    goals: {},
+    rockProgress: 0,
+    rocksCompleted: 0,
+    rocksTotal: 0,
+    quarter: null,
+    pastQuarters: []
+  }
+});
+
+registerCollector({
+  name: 'awaitingResponses',
+  timeout: 5000,
+  run: getAwaitingResponses,
+  defaultValue: []
+});
+
+registerCollector({
+  name: 'approvalItems',
+  timeout: 5000,
+  run: getApprovalQueueItems,
+  defaultValue: []
+});
+
+registerCollector({
+  name: 'calendarEvents',
+  timeout: 10000,
+  run: getCalendarEvents,
+  defaultValue: []
+});
+
+registerCollector({
+  name: 'systemStatus',
+  timeout: 15000,
+  run: getSystemStatus,
+  defaultValue: {
+    clawdbotVersion: 'unknown',
+    mainSessionContext: null,
+    memoryFileSize: 0,
+    notesFileCount: 0,
+    dailyLogsCount: 0
+  }
+});
+
+/**
+ * Run a single registered collector with the same timeout/default handling as the pipeline.
+ */
+async function runCollector(name) {
+  const collector = COLLECTORS.find(c => c.name === name);
+  if (!collector) throw new Error(`Unknown collector "${name}"`);
+  const data = await collectDashboardData([collector]);
+  return data[name];
+}
+
+// =============================================================================
+// DERIVED DATA
+// =============================================================================
+
+/**
+ * Append this run's cron statuses to the history store and attach
+ * success rates, streaks, flapping and stall detection to each cron.
+ */
+function updateCronHistory(cronData, now = new Date()) {
+  console.log('📈 Updating cron history...');
+  const history = loadCronHistory(CRON_HISTORY_PATH);
+  recordCronSnapshot(history, cronData.crons, now, LIMITS.cronHistoryDays);
+  
+  for (const cron of cronData.crons) {
+    const entry = history.crons[cron.id];
+    cron.history = entry ? summarizeCron(entry, now) : null;
+  }
+  cronData.flapping = cronData.crons.filter(c => c.history?.flapping);
+  cronData.stalled = cronData.crons.filter(c => c.history?.stalled);
+  cronData.failing = cronData.crons.filter(c => c.history?.failureStreak >= 2);
+  
+  if (!DRY_RUN) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    saveCronHistory(CRON_HISTORY_PATH, history);
+  }
+  console.log(`   ${Object.keys(history.crons).length} crons tracked (${cronData.flapping.length} flapping, ${cronData.stalled.length} stalled)`);
+}
+
+/**
+ * Keep a running snapshot of this quarter's rocks in the archive. When the quarter
+ * changes, the last snapshot of the previous quarter is frozen into `quarters`.
+ */
+function updateRocksArchive(lifeOSData, now = new Date()) {
+  console.log('🗄️ Updating rocks archive...');
+  const quarter = lifeOSData.quarter || getFiscalQuarter(now);
+  
+  let archive = { current: null, quarters: [] };
+  let loadFailed = false;
+  try {
+    if (fs.existsSync(ROCKS_ARCHIVE_PATH)) {
+      archive = { ...archive, ...JSON.parse(fs.readFileSync(ROCKS_ARCHIVE_PATH, 'utf8')) };
+    }
+  } catch (err) {
+    // Past quarters can't be rebuilt, so leave the file alone until it's fixed by hand
+    loadFailed = true;
+    console.log(`   ⚠️ Could not load rocks archive, not saving over it: ${err.message}`);
+  }
+  
+  if (archive.current && archive.current.label !== quarter.label) {
+    console.log(`   Rolled over: archived ${archive.current.label} (${archive.current.completionRate}% complete)`);
+    archive.quarters = [...archive.quarters.filter(q => q.label !== archive.current.label), archive.current];
+  }
+  
+  // Only track the quarter while it has rocks (a failed collector shouldn't blank it)
+  if (lifeOSData.rocksTotal > 0) {
+    archive.current = {
+      label: quarter.label,
+      start: quarter.start,
+      end: quarter.end,
+      rocks: lifeOSData.rocks.map(({ number, description, done, goals }) => ({ number, description, done, goals })),
+      completed: lifeOSData.rocksCompleted,
+      total: lifeOSData.rocksTotal,
+      completionRate: lifeOSData.rockProgress,
+      updatedAt: now.toISOString()
+    };
+  } else if (archive.current?.label !== quarter.label) {
+    archive.current = null;
+  }
+  
+  lifeOSData.pastQuarters = archive.quarters.map(({ label, completed, total, completionRate }) => ({ label, completed, total, completionRate }));
+  
+  if (!DRY_RUN && !loadFailed) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(ROCKS_ARCHIVE_PATH, JSON.stringify(archive, null, 2));
+  }
+  console.log(`   ${archive.quarters.length} past quarters archived`);
+}
+
+/**
+ * Store this ISO week's scorecard actuals and attach recent weeks, hit rate
+ * and streak to each metric.
+ */
+function updateScorecardHistory(lifeOSData, now = new Date()) {
+  console.log('📊 Updating scorecard history...');
+  const week = scorecardHistory.isoWeek(localDateString(now));
+  const history = scorecardHistory.loadScorecardHistory(SCORECARD_HISTORY_PATH);
+  
+  // Keep the stored week when the collector failed rather than blanking it
+  if (lifeOSData.scorecard.length > 0) {
+    scorecardHistory.recordScorecardWeek(history, week, lifeOSData.scorecard);
+  }
+  for (const metric of lifeOSData.scorecard) {
+    metric.history = scorecardHistory.summarizeMetric(history, metric.metric, week, LIMITS.scorecardWeeks);
+  }
+  lifeOSData.scorecardWeek = week;
+  
+  if (!DRY_RUN) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    scorecardHistory.saveScorecardHistory(SCORECARD_HISTORY_PATH, history);
+  }
+  const onTrack = lifeOSData.scorecard.filter(m => m.onTrack).length;
+  console.log(`   ${week}: ${onTrack}/${lifeOSData.scorecard.length} metrics on track, ${Object.keys(history.weeks).length} weeks stored`);
+}
+
+/**
+ * Persist today's Oura metrics to the body time series and attach 7/30-day
+ * trends and baseline deviations to the oura data.
+ */
+function updateBodyHistory(ouraData, now = new Date()) {
+  console.log('📉 Updating body metrics history...');
+  const today = localDateString(now);
+  const history = bodyHistory.loadBodyHistory(BODY_HISTORY_PATH);
+  
+  // API data is keyed by the day Oura reported; script data has no reliable day, so use today
+  if (ouraData.source) {
+    const day = ouraData.source === 'api' && ouraData.date ? ouraData.date : today;
+    bodyHistory.recordBodyDay(history, day, ouraData);
+  }
+  ouraData.trends = bodyHistory.summarizeBodyTrends(history, today);
+  
+  if (!DRY_RUN) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    bodyHistory.saveBodyHistory(BODY_HISTORY_PATH, history);
+  }
+  console.log(`   ${Object.keys(history.days).length} days stored, ${ouraData.trends.length} metrics trending`);
+}
+
+const MAIN_SESSION_KEY = 'agent:main:main';
+
+/**
+ * Record every session's token usage and attach the main session's burn rate and
+ * memory flush / compaction forecast to systemStatus.contextForecast.
+ */
+function updateTokenHistory(data, now = new Date()) {
+  console.log('🔥 Updating session token history...');
+  const history = tokenHistory.loadTokenHistory(TOKEN_HISTORY_PATH);
+  tokenHistory.recordTokenSamples(history, data.agents.all, now, config.context.retentionDays);
+  // Without a fresh sample the forecast would be stale, so leave it out
+  const sampled = data.agents.all.some(a => a.key === MAIN_SESSION_KEY && a.totalTokens && a.contextTokens);
+  const forecast = sampled ? tokenHistory.forecastContext(history.sessions[MAIN_SESSION_KEY], now, config.context) : null;
+  data.systemStatus.contextForecast = forecast;
+  
+  if (!DRY_RUN) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    tokenHistory.saveTokenHistory(TOKEN_HISTORY_PATH, history);
+  }
+  const rate = forecast?.tokensPerHour !== null && forecast?.tokensPerHour !== undefined ? `${formatTokens(forecast.tokensPerHour)}/h` : 'no rate yet';
+  console.log(`   ${Object.keys(history.sessions).length} sessions tracked, main: ${rate}`);
+}
+
+/**
+ * Fold this run's sessions into the lifecycle history and attach the session tree
+ * and recently finished subagents/cron runs to the agents data.
+ */
+function updateSessionLifecycle(agentData, now = new Date()) {
+  console.log('🌳 Updating session lifecycle...');
+  const history = sessionTree.loadSessionHistory(SESSION_HISTORY_PATH);
+  sessionTree.updateSessionHistory(history, agentData.all, now);
+  agentData.tree = sessionTree.buildSessionTree(history, now);
+  agentData.recentlyFinished = sessionTree.recentlyFinished(history, now, LIMITS.finishedAgents);
+  
+  if (!DRY_RUN) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    sessionTree.saveSessionHistory(SESSION_HISTORY_PATH, history);
+  }
+  console.log(`   ${agentData.tree.length} root sessions, ${agentData.recentlyFinished.length} recently finished`);
+}
+
+/**
+ * Charge this run's token usage growth to today and summarize spend for the
+ * Spend card: today against the daily budget, month to date, top-cost crons.
+ */
+function updateSpend(data, now = new Date()) {
+  console.log('💸 Updating model spend...');
+  const today = localDateString(now);
+  const history = spend.loadSpendHistory(SPEND_HISTORY_PATH);
+  const firstRun = !history.recordedAt;
+  
+  const sessions = data.agents.all.map(a => ({ key: a.key, name: a.agentName, model: a.model, usage: a.usage, cronId: a.cronId }));
+  spend.recordSpend(history, sessions, today, MODEL_PRICES, now);
+  
+  const cronNames = {};
+  for (const a of data.agents.all) {
+    if (a.cronId && !a.key.includes(':run:')) cronNames[a.cronId] = a.agentName;
+  }
+  for (const c of data.crons.crons) cronNames[c.id] = c.name;
+  data.spend = spend.summarizeSpend(history, today, {
+    dailyBudget: config.pricing.dailyBudget,
+    warnPercent: config.pricing.warnPercent,
+    topCrons: LIMITS.spendCrons,
+    sessionKeys: sessions.map(s => s.key),
+    cronNames
+  });
+  
+  if (!DRY_RUN) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    spend.saveSpendHistory(SPEND_HISTORY_PATH, history);
+  }
+  console.log(firstRun
+    ? `   Recorded usage baselines for ${Object.keys(history.sessions).length} sessions`
+    : `   Today ${formatCost(data.spend.today.cost)}, month to date ${formatCost(data.spend.monthToDate.cost)}`);
+}
+
+function formatCost(usd) {
+  return usd >= 100 ? `$${Math.round(usd)}` : `$${usd.toFixed(2)}`;
+}
+
+function formatTokens(count) {
+  return Math.abs(count) >= 1000 ? `${Math.round(count / 1000)}k` : String(count);
+}
+
+// =============================================================================
+// ALERTING
+// =============================================================================
+
+const NOTIFIERS = [alerting.createFileNotifier(ALERTS_LOG_PATH)];
+
+/**
+ * Add a notifier ({ name, events, send(event) }) that receives alert events.
+ */
+function registerNotifier(notifier) {
+  if (!notifier.name || typeof notifier.send !== 'function') {
+    throw new Error('Notifier needs a name and a send() function');
+  }
+  NOTIFIERS.push({ events: ['firing'], ...notifier });
+}
+
+if (config.alerts.webhookUrl) {
+  registerNotifier(alerting.createWebhookNotifier(config.alerts.webhookUrl));
+}
+if (config.alerts.messageTarget) {
+  registerNotifier(alerting.createMessageNotifier(CLAWDBOT, config.alerts.messageTarget, config.alerts.messageChannel));
+}
+
+/**
+ * Evaluate alert rules, dedupe against the stored alert state and notify. Rules whose
+ * collector failed are skipped and their active alerts left as they are, so a failed
+ * run doesn't resolve them. Returns the active alerts, held ones included.
+ */
+async function processAlerts(data, collectorStatus = {}, now = new Date()) {
+  console.log('🚨 Evaluating alerts...');
+  const { rules, held } = alerting.rulesForCollectors(collectorStatus);
+  const firing = alerting.evaluateAlertRules(data, config.alerts, now, rules);
+  const state = alerting.loadAlertState(ALERT_STATE_PATH);
+  const events = alerting.reconcileAlerts(state, firing, now, config.alerts.cooldownMinutes, held);
+  
+  const counts = type => events.filter(e => e.type === type && !e.retry).length;
+  const retries = events.filter(e => e.retry).length;
+  console.log(`   ${firing.length} firing (${counts('firing')} new, ${counts('suppressed')} in cooldown, ${counts('resolved')} resolved${retries > 0 ? `, ${retries} retried` : ''})`);
+  if (held.length > 0) console.log(`   ⏸️ Held (collector failed): ${held.join(', ')}`);
+  
+  if (!DRY_RUN) {
+    alerting.recordDeliveries(state, await alerting.dispatchAlerts(events, NOTIFIERS));
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    alerting.saveAlertState(ALERT_STATE_PATH, state);
+  }
+  const stillActive = Object.entries(state.alerts)
+    .filter(([, entry]) => entry.active && held.includes(entry.rule))
+    .map(([key, entry]) => ({ key, rule: entry.rule, severity: entry.severity, title: entry.title }));
+  return [...firing, ...stillActive];
+}
+
+/**
+ * This run's calendar events, or null when the collector failed (its [] default is not
+ * an empty calendar).
+ */
+function freshCalendarEvents(data) {
+  return data.collectorStatus?.calendarEvents?.ok === false ? null : data.calendarEvents;
+}
+
+/**
+ * Refresh state.upcoming: hand-written items are kept, calendar items are replaced by
+ * this run's events (unless a hand-written item has the same title and day), and
+ * daysAway is recomputed for everything. With `calendarEvents` null (the collector
+ * failed) the calendar items from the last good run are kept instead.
+ */
+function mergeUpcoming(existing, calendarEvents, now = new Date()) {
+  const today = localDateString(now);
+  const manual = existing.filter(item => item.source !== 'ics');
+  const manualKeys = new Set(manual.map(item => `${item.title.toLowerCase()}|${item.date}`));
+  
+  const fromCalendars = calendarEvents === null
+    ? existing.filter(item => item.source === 'ics' && item.date >= today)
+    : calendarEvents.map(event => ({
+        title: event.title,
+        date: localDateString(event.start),
+        time: event.allDay ? null : event.start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TIMEZONE }),
+        project: event.calendar,
+        source: 'ics',
+        uid: event.uid
+      }));
+  
+  return [...manual, ...fromCalendars.filter(item => !manualKeys.has(`${item.title.toLowerCase()}|${item.date}`))]
+    .map(item => ({
+      ...item,
+      daysAway: Math.round((new Date(`${item.date}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / DAY_MS)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.time ? 1 : 0) - (b.time ? 1 : 0));
+}
+
+/**
+ * Shape the Things collector into what the cards use: the Today list, list counts
+ * and the most urgent priority to-dos.
+ */
+function deriveTaskViews(data) {
+  data.tasks = data.things.lists.today;
+  data.taskCounts = data.things.counts;
+  data.priorityTasks = data.things.priority.slice(0, LIMITS.priorityTasks);
+}
+
+function formatDeadline(daysUntil) {
+  if (daysUntil === null) return null;
+  if (daysUntil < 0) return `overdue ${-daysUntil}d`;
+  return daysUntil === 0 ? 'due today' : `due in ${daysUntil}d`;
+}
+
+/**
+ * A Needs You item when the main session's memory flush or compaction is forecast
+ * within context.horizonHours: P1 for compaction, P2 when only the flush is that close.
+ */
+function buildContextNeedsYouItems(forecast) {
+  const { horizonHours } = config.context;
+  const due = [['compaction', 'P1'], ['memoryFlush', 'P2']]
+    .map(([key, priority]) => ({ key, priority, eta: forecast?.[key] }))
+    .find(({ eta }) => eta && eta.hours <= horizonHours);
+  if (!due) return [];
+  
+  const label = due.key === 'compaction' ? 'compaction' : 'memory flush';
+  const when = due.eta.hours === 0 ? 'due now' : `due ${formatRelativeTime(Date.parse(due.eta.at))}`;
+  const rate = forecast.tokensPerHour ? `, burning ~${formatTokens(forecast.tokensPerHour)} tokens/h` : '';
+  return [{
+    type: 'context',
+    title: `Main session ${label} ${when}`,
+    context: `${forecast.percent}% of ${formatTokens(forecast.total)} context used${rate}`,
+    priority: due.priority,
+    source: 'Clawdbot',
+    urgency: horizonHours - due.eta.hours
+  }];
+}
+
+/**
+ * Merge awaiting responses, priority tasks and context forecasts, most urgent first: P1 before P2,
+ * then by how far past its SLA an item is. A task due today ranks like an item
+ * at its SLA; tasks without a deadline sit at urgency 0.
+ */
+function buildNeedsYouItems(data) {
+  const items = [
+    ...data.awaitingResponses.map(a => ({
+      type: 'awaiting',
+      title: a.title,
+      context: a.status || `Check: ${a.channel}`,
+      priority: a.overdue ? 'P1' : 'P2',
+      source: a.channel,
+      link: a.whereToCheck,
+      waiting: a.waitingDays !== null ? `waiting ${a.waitingDays}d` : null,
+      needsRecheck: a.needsRecheck,
+      daysSinceCheck: a.daysSinceCheck,
+      urgency: a.waitingDays !== null ? a.waitingDays / Math.max(a.slaDays, 1) : 0
+    })),
+    ...data.priorityTasks.map(t => ({
+      type: 'task',
+      title: t.title,
+      context: t.project ? `Project: ${t.project}` : `${t.list.charAt(0).toUpperCase()}${t.list.slice(1)} ${t.kind === 'project' ? 'project' : 'task'}`,
+      priority: t.priority,
+      source: 'Things',
+      due: formatDeadline(t.daysUntilDeadline),
+      urgency: t.daysUntilDeadline !== null ? 1 - t.daysUntilDeadline : 0
+    })),
+    ...buildContextNeedsYouItems(data.systemStatus.contextForecast)
+  ];
+  
+  return items.sort((a, b) => a.priority.localeCompare(b.priority) || b.urgency - a.urgency);
+}
+
+// =============================================================================
+// ACTIVITY LOG MANAGEMENT
+// =============================================================================
+
+function loadActivityLog() {
+  try {
+    if (fs.existsSync(ACTIVITY_LOG_PATH)) {
+      return JSON.parse(fs.readFileSync(ACTIVITY_LOG_PATH, 'utf8'));
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Could not load activity log: ${err.message}`);
+  }
+  return [];
+}
 
 function saveActivityLog(activities) {
-  // Keep only the most recent items
+  // Keep only the most recent items; older ones move to the monthly archives
   const trimmed = activities.slice(0, MAX_ACTIVITY_ITEMS);
+  const evicted = activities.slice(MAX_ACTIVITY_ITEMS);
   if (!DRY_RUN) {
+    if (evicted.length > 0) {
+      activityArchive.appendToArchive(ACTIVITY_ARCHIVE_DIR, evicted);
+    }
     fs.writeFileSync(ACTIVITY_LOG_PATH, JSON.stringify(trimmed, null, 2));
   }
 }
@@ -677,51 +1679,351 @@ function logActivity(action, details = '', source = 'hal') {
   saveActivityLog(activities);
 }
 
-function extractActivitiesFromDailyLog(logPath, since) {
-  // Parse the daily log to extract recent activities
+/**
+ * Routine refreshes keep one rolling `system` entry per action instead of a new
+ * entry every run: it moves to the top with the latest details and a run count.
+ * Per-run entries written before heartbeats existed are folded into it.
+ */
+function recordHeartbeat(action, details = '') {
+  const activities = loadActivityLog();
+  const isSame = a => a.source === 'system' && a.action === action;
+  const previous = activities.filter(isSame);
+  const heartbeat = previous.find(a => a.heartbeat);
+  const now = new Date().toISOString();
+  const oldest = previous.map(a => a.since || a.timestamp).sort()[0];
+  
+  const rest = activities.filter(a => !isSame(a));
+  rest.unshift({
+    timestamp: now,
+    action,
+    details,
+    source: 'system',
+    heartbeat: true,
+    since: oldest || now,
+    runs: (heartbeat?.runs || 0) + previous.filter(a => !a.heartbeat).length + 1
+  });
+  saveActivityLog(rest);
+}
+
+/**
+ * Timestamped entries ("- 10:30 AM: Did something") and section headers
+ * ("## Shipped the newsletter", optionally "## 2:15 AM — ...") from one daily log.
+ * Headers without a time take the time of the entry before them (midnight at the top).
+ * Returns the most recent LIMITS.dailyLogActivities, each { timestamp, action, section }.
+ */
+function extractActivitiesFromDailyLog(content, date) {
   const activities = [];
-  try {
-    const content = fs.readFileSync(logPath, 'utf8');
-    const lines = content.split('\n');
+  let section = null;
+  let lastTimestamp = parseLocalDateTime(date);
+  
+  for (const line of content.split('\n')) {
+    const timeMatch = line.match(/^[-*]\s+(\d{1,2}:\d{2}\s*(?:AM|PM)?)(?:\s*[-—:])?\s+(.+)/i);
+    if (timeMatch) {
+      lastTimestamp = parseLocalDateTime(`${date} ${timeMatch[1]}`) || lastTimestamp;
+      activities.push({ timestamp: lastTimestamp.toISOString(), action: timeMatch[2].substring(0, 100), section });
+      continue;
+    }
     
-    for (const line of lines) {
-      // Look for timestamped entries like "- 10:30 AM: Did something"
-      const timeMatch = line.match(/^[-*]\s+(\d{1,2}:\d{2}\s*(?:AM|PM)?):?\s+(.+)/i);
-      if (timeMatch) {
-        activities.push({
-          time: timeMatch[1],
-          action: timeMatch[2].substring(0, 100)
-        });
-      }
-      
-      // Also look for "## Something happened" section headers as activities
-      const headerMatch = line.match(/^##\s+(.+)/);
-      if (headerMatch && !headerMatch[1].match(/^(Morning|Afternoon|Evening|Notes)/i)) {
-        activities.push({
-          time: 'log',
-          action: headerMatch[1].substring(0, 100)
-        });
-      }
+    const headerMatch = line.match(/^##\s+(?:(\d{1,2}:\d{2}\s*(?:AM|PM)?)\s*[-—:]?\s*)?(.+)/i);
+    if (!headerMatch) continue;
+    section = headerMatch[2].trim();
+    if (headerMatch[1]) lastTimestamp = parseLocalDateTime(`${date} ${headerMatch[1]}`) || lastTimestamp;
+    // Time-of-day headings group entries; they aren't activities themselves
+    if (!section.match(/^(Morning|Afternoon|Evening|Overnight|Notes)/i)) {
+      activities.push({ timestamp: lastTimestamp.toISOString(), action: section.substring(0, 100), section: null });
+    }
+  }
+  
+  return activities.slice(-LIMITS.dailyLogActivities);
+}
+
+// Memory entries carry an id so reruns over the same log don't add them twice
+function dailyLogActivityId(entry) {
+  const hash = crypto.createHash('sha1').update(`${entry.timestamp}|${entry.action}`).digest('hex').slice(0, 12);
+  return `memory-${hash}`;
+}
+
+/**
+ * Merge daily log entries into the activity feed with source `memory`, skipping
+ * entries already merged by earlier runs. Returns the merged feed.
+ */
+function mergeDailyLogActivities(dailyLogs) {
+  console.log('🧠 Merging daily log entries into activity feed...');
+  const activities = loadActivityLog();
+  const entries = dailyLogs.flatMap(log => log.activities);
+  // Entries already trimmed into the archives count as merged too
+  const months = [...new Set(entries.map(entry => entry.timestamp.slice(0, 7)))];
+  const known = new Set([...activities, ...activityArchive.readArchive(ACTIVITY_ARCHIVE_DIR, months)]
+    .map(a => a.id).filter(Boolean));
+  
+  const added = entries
+    .map(entry => ({
+      id: dailyLogActivityId(entry),
+      timestamp: entry.timestamp,
+      action: entry.action,
+      details: entry.section || '',
+      source: 'memory'
+    }))
+    .filter(entry => !known.has(entry.id) && known.add(entry.id));
+  
+  if (added.length === 0) {
+    console.log('   No new entries');
+    return activities;
+  }
+  // Newest first, like logActivity(); older entries fall off the end when trimmed
+  const merged = [...activities, ...added].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  saveActivityLog(merged);
+  console.log(`   ${added.length} new entries`);
+  return merged;
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * The night window for the Overnight view: the most recent bedtime up to wake time
+ * (or up to now while the night is still going).
+ */
+function overnightWindow(now = new Date()) {
+  const { bedtime, wakeTime } = config.overnight;
+  const today = localDateString(now);
+  const yesterday = localDateString(new Date(now.getTime() - DAY_MS));
+  
+  let start = parseLocalDateTime(`${today} ${bedtime}`);
+  if (start > now) start = parseLocalDateTime(`${yesterday} ${bedtime}`);
+  const startDay = localDateString(start);
+  const wakeDay = minutesOfDay(wakeTime) > minutesOfDay(bedtime) ? startDay : localDateString(new Date(start.getTime() + DAY_MS));
+  const wake = parseLocalDateTime(`${wakeDay} ${wakeTime}`);
+  
+  return { start, end: wake < now ? wake : now, inProgress: wake >= now };
+}
+
+/**
+ * Activity between bedtime and wake time, grouped by source. Repeats of the same
+ * action (e.g. a cron retrying every half hour) collapse into one line with a count.
+ */
+function buildOvernightDigest(activities, now = new Date()) {
+  const { start, end, inProgress } = overnightWindow(now);
+  const inWindow = activities
+    .filter(a => {
+      const time = new Date(a.timestamp);
+      return time >= start && time <= end;
+    })
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  
+  const groups = new Map();
+  for (const activity of inWindow) {
+    const source = activity.source || 'hal';
+    if (!groups.has(source)) groups.set(source, new Map());
+    const items = groups.get(source);
+    const existing = items.get(activity.action);
+    if (existing) {
+      existing.count++;
+      existing.lastAt = activity.timestamp;
+    } else {
+      items.set(activity.action, {
+        action: activity.action,
+        details: activity.details || '',
+        firstAt: activity.timestamp,
+        lastAt: activity.timestamp,
+        count: 1
+      });
+    }
+  }
+  
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    inProgress,
+    total: inWindow.length,
+    groups: [...groups].map(([source, items]) => ({ source, items: [...items.values()] }))
+  };
+}
+
+// =============================================================================
+// APPROVAL QUEUE
+// =============================================================================
+
+/**
+ * Load the approval queue, apply one action ('add', 'approve', 'reject' or 'complete'),
+ * save it and record the transition in the activity log. Returns the affected item.
+ * Throws QueueError when the action isn't allowed.
+ */
+function updateApprovalQueue(action, args = {}, source = 'hal') {
+  const queue = approvalQueue.loadQueue(APPROVAL_QUEUE_PATH);
+  
+  let item;
+  let details;
+  let verb;
+  if (action === 'add') {
+    item = approvalQueue.addItem(queue, args);
+    verb = 'Queued for approval';
+    details = item.description;
+  } else {
+    item = approvalQueue.transitionItem(queue, args.id, action, args);
+    verb = approvalQueue.TRANSITIONS[action].verb;
+    details = args.reason || args.note || '';
+  }
+  
+  if (!DRY_RUN) {
+    approvalQueue.saveQueue(APPROVAL_QUEUE_PATH, queue);
+  }
+  logActivity(`${verb}: ${item.title}`, details, source);
+  return item;
+}
+
+function formatQueueItem(item) {
+  const date = (item.decidedAt || item.completedAt || item.addedAt || '').split('T')[0];
+  const reason = item.reason ? ` — ${item.reason}` : '';
+  return `   #${item.id} [${item.type || 'item'}] ${item.title} (${item.status}, ${date})${reason}`;
+}
+
+function runQueueCommand(positionals, flags) {
+  const [action, ...rest] = positionals;
+  const source = flags.source || 'hal';
+  
+  if (action === 'list' || !action) {
+    const items = approvalQueue.listItems(approvalQueue.loadQueue(APPROVAL_QUEUE_PATH), flags.status || 'pending');
+    if (flags.json) {
+      console.log(JSON.stringify(items, null, 2));
+    } else {
+      console.log(`📋 ${items.length} ${flags.status || 'pending'} item(s)`);
+      items.forEach(item => console.log(formatQueueItem(item)));
     }
+    return;
+  }
+  
+  let item;
+  if (action === 'add') {
+    item = updateApprovalQueue('add', {
+      title: rest.join(' '),
+      description: flags.description || '',
+      type: flags.type || 'idea'
+    }, source);
+  } else if (approvalQueue.TRANSITIONS[action]) {
+    if (!rest[0]) throw new approvalQueue.QueueError(`Usage: queue ${action} <id>`);
+    item = updateApprovalQueue(action, { id: rest[0], reason: flags.reason, note: flags.note }, source);
+  } else {
+    throw new approvalQueue.QueueError(`Unknown queue command "${action}" (expected add, approve, reject, complete or list)`);
+  }
+  
+  console.log(flags.json ? JSON.stringify(item, null, 2) : `✅ ${formatQueueItem(item).trim()}`);
+}
+
+// =============================================================================
+// ACTIVITY HISTORY
+// =============================================================================
+
+// --since/--until take local dates; --until includes the whole day
+function parseActivityDateFlag(name, value, endOfDay) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string' || !value.match(/^\d{4}-\d{2}-\d{2}$/) || localDateString(parseLocalDateTime(value)) !== value) {
+    throw new activityArchive.ActivityQueryError(`--${name} expects a date like 2026-10-01`);
+  }
+  if (!endOfDay) return parseLocalDateTime(value);
+  const nextDay = new Date(new Date(`${value}T00:00:00Z`).getTime() + DAY_MS).toISOString().split('T')[0];
+  return new Date(parseLocalDateTime(nextDay).getTime() - 1);
+}
+
+function formatActivityEntry(entry) {
+  const time = new Date(entry.timestamp);
+  const when = `${localDateString(time)} ${time.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone: TIMEZONE })}`;
+  const runs = entry.heartbeat ? ` (${entry.runs} runs since ${localDateString(new Date(entry.since))})` : '';
+  return `   ${when} [${entry.source || 'hal'}] ${entry.action}${entry.details ? ` — ${entry.details}` : ''}${runs}`;
+}
+
+function runActivityCommand(positionals, flags) {
+  const limit = flags.limit === undefined ? 20 : Number(flags.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new activityArchive.ActivityQueryError('--limit expects a positive whole number');
+  }
+  const query = {
+    source: typeof flags.source === 'string' ? flags.source : undefined,
+    action: typeof flags.action === 'string' ? flags.action : positionals.join(' ') || undefined,
+    since: parseActivityDateFlag('since', flags.since, false),
+    until: parseActivityDateFlag('until', flags.until, true)
+  };
+  
+  const matches = activityArchive.queryActivities(loadActivityLog(), ACTIVITY_ARCHIVE_DIR, query);
+  const shown = matches.slice(0, limit);
+  if (flags.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+  console.log(`📜 ${matches.length} matching entr${matches.length === 1 ? 'y' : 'ies'}${matches.length > shown.length ? ` (showing ${shown.length})` : ''}`);
+  shown.forEach(entry => console.log(formatActivityEntry(entry)));
+}
+
+// =============================================================================
+// BRIEFING
+// =============================================================================
+
+/**
+ * Collect fresh data and render the morning briefing to stdout or --out. Read-only:
+ * no history, state or activity files are touched, so a cron can run it any time.
+ */
+async function runBriefingCommand(positionals, flags) {
+  const format = briefing.resolveFormat(typeof flags.format === 'string' ? flags.format : config.briefing.format);
+  const sections = briefing.normalizeSections(
+    typeof flags.sections === 'string' ? flags.sections.split(',').map(id => id.trim()).filter(Boolean) : config.briefing.sections,
+    config.briefing.maxItems
+  );
+  
+  // Collector progress goes to stderr so stdout carries only the briefing
+  const log = console.log;
+  console.log = console.error;
+  let data;
+  try {
+    data = await collectDashboardData();
+  } finally {
+    console.log = log;
+  }
+  deriveTaskViews(data);
+  
+  let state = {};
+  try {
+    state = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
   } catch (err) {
-    // Silent fail
+    // No state yet: no hand-written Needs You or Coming Up items
   }
   
-  return activities.slice(0, 10); // Max 10 from each log
+  const now = new Date();
+  const output = briefing.renderBriefing(briefing.buildBriefing({
+    ...data,
+    needsYou: combineNeedsYouItems(buildNeedsYouItems(data), state),
+    upcoming: nextUpcoming(mergeUpcoming(state.upcoming || [], freshCalendarEvents(data), now))
+  }, {
+    title: config.briefing.title,
+    date: localDateString(now),
+    sections,
+    now
+  }), format);
+  
+  if (typeof flags.out === 'string') {
+    fs.writeFileSync(flags.out, output);
+    console.log(`✅ Briefing written to ${flags.out}`);
+  } else {
+    process.stdout.write(output);
+  }
 }
 
 // =============================================================================
 // STATE FILE UPDATE
 // =============================================================================
 
-function updateStateFile(cronData, tasks, agentData) {
+/**
+ * @param {DashboardData} data
+ */
+function updateStateFile(data) {
   console.log('💾 Updating state.json...');
+  const { crons: cronData, tasks, agents: agentData } = data;
   
-  const statePath = path.join(DASHBOARD_DIR, 'state.json');
   let state = {};
   
   try {
-    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    state = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
   } catch (err) {
     console.log('   Creating new state.json');
   }
@@ -734,7 +2036,8 @@ function updateStateFile(cronData, tasks, agentData) {
   state.health.crons = {
     healthy: cronData.healthy,
     total: cronData.total,
-    status: cronData.errors.length > 0 ? 'warning' : 'ok'
+    status: cronData.errors.length > 0 ? 'warning' : 'ok',
+    parseWarnings: cronData.warnings
   };
   state.health.agents = { 
     active: agentData.count, 
@@ -746,11 +2049,19 @@ function updateStateFile(cronData, tasks, agentData) {
   
   // Update crons list
   state.crons = cronData.crons.map(c => ({
+    id: c.id,
     name: c.name,
     schedule: c.next || c.schedule,
     health: c.status === 'error' ? 'error' : 'ok',
+    color: c.color,
     lastRun: c.last,
-    error: c.status === 'error' ? 'See cron logs' : null
+    error: c.status === 'error' ? 'See cron logs' : null,
+    successRate7d: c.history?.successRate7d ?? null,
+    successRate30d: c.history?.successRate30d ?? null,
+    failureStreak: c.history?.failureStreak || 0,
+    flapping: c.history?.flapping || false,
+    stalled: c.history?.stalled || false,
+    lastRunAt: c.history?.lastRunAt || null
   }));
   
   // Update active agents
@@ -760,318 +2071,426 @@ function updateStateFile(cronData, tasks, agentData) {
     type: a.agentType,
     age: a.age,
     tokenUsage: a.tokenUsage,
-    isActive: a.isActive
+    isActive: a.isActive,
+    parentKey: a.parentKey
   }));
+  state.spend = data.spend;
+  state.agentTree = agentData.tree;
+  state.recentlyFinishedAgents = agentData.recentlyFinished;
   
   // Update active work from Things tasks
-  state.activeWork = tasks.slice(0, 5).map((t, i) => ({
+  state.activeWork = tasks.slice(0, LIMITS.stateActiveWork).map(t => ({
     id: t.uuid,
     title: t.title,
-    status: 'waiting',
+    kind: t.kind,
+    status: t.workStatus,
     project: t.area || t.project || 'Personal',
-    progress: 50
+    progress: t.progress?.percent ?? null,
+    progressDetail: t.progress ? `${t.progress.done}/${t.progress.total} ${t.progress.of}` : null,
+    deadline: t.deadline,
+    tags: t.tags
   }));
   
   // Update stats
   state.stats = state.stats || {};
   state.stats.cronJobsTotal = cronData.total;
   
+  // Full collector output for the dashboard server
+  state.lifeOS = data.lifeOS;
+  state.taskCounts = data.taskCounts;
+  state.upcoming = mergeUpcoming(state.upcoming || [], freshCalendarEvents(data));
+  state.overnight = data.overnight;
+  state.systemStatus = data.systemStatus;
+  state.needsYouItems = data.needsYouItems;
+  state.awaitingResponses = data.awaitingResponses;
+  state.collectorStatus = data.collectorStatus;
+  state.alerts = data.alerts;
+  
   if (!DRY_RUN) {
-    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
     console.log('   ✅ state.json updated');
   } else {
     console.log('   [DRY RUN] Would update state.json');
   }
   
-  return state;
+  return state;
+}
+
+// =============================================================================
+// CALENDAR FEED
+// =============================================================================
+
+// Short hash of what identifies an item, so UIDs survive date changes and reruns
+function stableUid(kind, key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  return `${kind}-${hash}@hal-dashboard`;
+}
+
+/**
+ * Events for dashboard.ics: hand-written Coming Up deadlines (calendar-sourced items
+ * are already on a calendar), the quarter end with its open rocks, and the next run
+ * of each cron listed in calendarFeed.crons.
+ */
+function buildCalendarFeedEvents(data, state) {
+  const events = [];
+  const usedUids = new Set();
+  
+  // Hand-written items have no id. Title and day together stay the same however the
+  // list is ordered or trimmed, and keep repeats of one title (a recurring deadline
+  // written out by hand) apart; a moved deadline shows up as a new event.
+  for (const item of (state.upcoming || []).filter(i => i.source !== 'ics')) {
+    const uid = stableUid('upcoming', `${item.project || ''}|${item.title}|${item.date}`);
+    if (usedUids.has(uid)) continue;
+    usedUids.add(uid);
+    events.push({ uid, title: item.title, date: item.date, categories: item.project ? [item.project] : [] });
+  }
+  
+  const { quarter, rocks } = data.lifeOS;
+  if (quarter) {
+    const open = rocks.filter(r => !r.done);
+    events.push({
+      uid: stableUid('quarter-end', quarter.label),
+      title: `${quarter.label} ends · ${open.length}/${rocks.length} rocks open`,
+      date: quarter.end,
+      description: rocks.map(r => `${r.done ? '✅' : '⬜'} ${r.number}. ${r.description}`).join('\n'),
+      categories: ['Rocks']
+    });
+  }
+  
+  const wanted = config.calendarFeed.crons.map(c => c.toLowerCase());
+  for (const cron of data.crons.crons) {
+    if (!cron.nextRunAt || !(wanted.includes(cron.id.toLowerCase()) || wanted.includes(cron.name.toLowerCase()))) continue;
+    events.push({
+      uid: stableUid('cron', cron.id),
+      title: `🤖 ${cron.name}`,
+      start: new Date(cron.nextRunAt),
+      end: new Date(new Date(cron.nextRunAt).getTime() + 15 * 60 * 1000),
+      description: cron.schedule ? `Schedule: ${cron.schedule}` : '',
+      categories: ['Crons']
+    });
+  }
+  
+  return events;
+}
+
+function updateCalendarFeed(data, state) {
+  console.log('📆 Updating calendar feed...');
+  const events = buildCalendarFeedEvents(data, state);
+  const feed = ics.formatIcs({ name: config.calendarFeed.name, events });
+  
+  if (!DRY_RUN) {
+    fs.writeFileSync(CALENDAR_FEED_PATH, feed);
+    console.log(`   ✅ ${path.basename(CALENDAR_FEED_PATH)} updated (${events.length} events)`);
+  } else {
+    console.log(`   [DRY RUN] Would write ${events.length} events to ${path.basename(CALENDAR_FEED_PATH)}`);
+  }
+}
+
+/**
+ * Save today's static snapshot of the rendered dashboard with the state behind it,
+ * apply retention and regenerate history.html.
+ */
+function updateSnapshots(state, now = new Date()) {
+  console.log('📸 Saving dashboard snapshot...');
+  const today = localDateString(now);
+  
+  if (DRY_RUN) {
+    console.log(`   [DRY RUN] Would save snapshot ${today}`);
+    return;
+  }
+  const html = snapshots.buildSnapshotHtml(fs.readFileSync(HTML_PATH, 'utf8'), {
+    takenAt: now.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: TIMEZONE }),
+    historyHref: snapshots.relativeUrl(path.join(SNAPSHOTS_DIR, today), HISTORY_PAGE_PATH)
+  });
+  snapshots.writeSnapshot(SNAPSHOTS_DIR, today, html, state);
+  const pruned = snapshots.pruneSnapshots(SNAPSHOTS_DIR, today, config.snapshots);
+  fs.writeFileSync(HISTORY_PAGE_PATH, snapshots.buildHistoryPage(SNAPSHOTS_DIR, HISTORY_PAGE_PATH));
+  
+  const kept = snapshots.listSnapshots(SNAPSHOTS_DIR).length;
+  console.log(`   ✅ ${today} saved, ${kept} snapshots kept${pruned.length > 0 ? `, ${pruned.length} pruned` : ''}`);
 }
 
 // =============================================================================
 // HTML UPDATE
 // =============================================================================
 
-function updateDashboardHTML(state, cronData, tasks, agentData, ouraData = {}, lifeOSData = {}, taskCounts = {}, extraData = {}) {
+/**
+ * @param {DashboardData} data
+ * @param {Object} state - state.json as just written by updateStateFile
+ */
+function updateDashboardHTML(data, state) {
   console.log('🎨 Updating dashboard HTML...');
   
-  const htmlPath = path.join(DASHBOARD_DIR, 'index.html');
-  let html = fs.readFileSync(htmlPath, 'utf8');
+  const template = fs.readFileSync(HTML_PATH, 'utf8');
+  const { crons: cronData, tasks, agents: agentData, oura: ouraData, lifeOS: lifeOSData } = data;
+  const goals = lifeOSData.goals || {};
   
-  // 1. Update timestamp
-  const now = new Date();
-  const timeStr = now.toLocaleDateString('en-US', { 
-    month: 'short', day: 'numeric', year: 'numeric',
-    hour: 'numeric', minute: '2-digit', hour12: true,
-    timeZone: 'America/Los_Angeles'
-  });
-  html = html.replace(
-    /Updated: [^<]+/,
-    `Updated: ${timeStr}`
-  );
+  // Each slot maps to a <!-- slot:name --> ... <!-- /slot:name --> block in index.html
+  const slots = {
+    'updated-at': () => formatUpdatedAt(new Date()),
+    'needs-you': () => buildNeedsYouSection(data.needsYouItems, state),
+    'approval-queue': () => buildApprovalQueueSection(data.approvalItems),
+    'quick-actions': () => buildQuickActionsSection(),
+    'system-health': () => buildSystemHealthSection(cronData, agentData, tasks),
+    'body-health': () => buildBodySection(ouraData),
+    'system-status': () => buildSystemStatusSection(data.systemStatus),
+    'spend': () => buildSpendSection(data.spend),
+    'active-work': () => buildActiveWorkSection(tasks),
+    'coming-up': () => buildComingUpSection(state.upcoming),
+    'active-agents': () => buildAgentSection(agentData),
+    'overnight': () => buildOvernightSection(data.overnight),
+    'activity-log': () => buildActivitySection(),
+    'cron-jobs': () => buildCronSection(cronData),
+    'rocks': () => buildRocksSection(lifeOSData),
+    'past-quarters': () => buildPastQuartersSection(lifeOSData.pastQuarters),
+    'weekly-scorecard': () => buildScorecardSection(lifeOSData)
+  };
   
-  // 2. Update System Health numbers
-  html = html.replace(
-    /(<div class="health-value[^"]*">)\d+\/\d+(<\/div>\s*<div class="health-label">Crons OK)/,
-    `$1${cronData.healthy}/${cronData.total}$2`
-  );
+  // One goal-<area> slot per goal card in the template ("goal-life-quality" -> goals.lifeQuality)
+  for (const [, slotId] of template.matchAll(/<!-- slot:goal-([a-z0-9-]+) -->/g)) {
+    const id = goalId(slotId);
+    slots[`goal-${slotId}`] = () => buildGoalProgress(GOAL_FILL_CLASSES[id] || id, goals[id]?.progress);
+  }
   
-  // Update health value color based on status
-  const cronHealthColor = cronData.errors.length > 0 ? 'orange' : 'green';
-  html = html.replace(
-    /<div class="health-value \w+">(\d+\/\d+)<\/div>\s*<div class="health-label">Crons OK/,
-    `<div class="health-value ${cronHealthColor}">${cronData.healthy}/${cronData.total}</div>\n              <div class="health-label">Crons OK`
-  );
+  const { html, failures } = renderSlots(template, slots);
+  for (const failure of failures) {
+    console.log(`   ⚠️ Slot "${failure.slot}" failed to render: ${failure.error}`);
+  }
   
-  html = html.replace(
-    /(<div class="health-value[^"]*">)\d+(<\/div>\s*<div class="health-label">Agents)/,
-    `$1${agentData.count}$2`
-  );
+  if (!DRY_RUN) {
+    fs.writeFileSync(HTML_PATH, html);
+    console.log(`   ✅ index.html updated (${Object.keys(slots).length - failures.length}/${Object.keys(slots).length} slots)`);
+  } else {
+    console.log('   [DRY RUN] Would update index.html');
+  }
   
-  html = html.replace(
-    /(<div class="health-value[^"]*">)\d+(<\/div>\s*<div class="health-label">Tasks)/,
-    `$1${tasks.length}$2`
-  );
+  return failures;
+}
+
+/**
+ * Replace the content between each slot's markers with its rendered output.
+ * A slot whose markers are missing/duplicated or whose builder throws keeps its
+ * previous content and is returned in `failures`.
+ */
+function renderSlots(html, slots) {
+  const failures = [];
   
-  html = html.replace(
-    /(<div class="health-value[^"]*">)\d+(<\/div>\s*<div class="health-label">Blocked)/,
-    `$1${cronData.errors.length}$2`
-  );
+  for (const [name, render] of Object.entries(slots)) {
+    const open = `<!-- slot:${name} -->`;
+    const close = `<!-- /slot:${name} -->`;
+    const start = html.indexOf(open);
+    const end = html.indexOf(close);
+    
+    if (start === -1 || end === -1 || end < start) {
+      failures.push({ slot: name, error: 'slot markers not found in index.html' });
+      continue;
+    }
+    if (html.indexOf(open, start + 1) !== -1 || html.indexOf(close, end + 1) !== -1) {
+      failures.push({ slot: name, error: 'slot markers appear more than once' });
+      continue;
+    }
+    
+    let content;
+    try {
+      content = render();
+      if (typeof content !== 'string') throw new Error('builder did not return a string');
+    } catch (err) {
+      failures.push({ slot: name, error: err.message });
+      continue;
+    }
+    
+    const contentStart = start + open.length;
+    const inline = html.lastIndexOf('\n', end) < contentStart;
+    if (inline) {
+      html = html.slice(0, contentStart) + content + html.slice(end);
+    } else {
+      // Keep the closing marker on its own line at its original indentation
+      const closeLineStart = html.lastIndexOf('\n', end) + 1;
+      html = html.slice(0, contentStart) + '\n' + content + '\n' + html.slice(closeLineStart);
+    }
+  }
   
-  // Update blocked color
+  return { html, failures };
+}
+
+function formatUpdatedAt(date) {
+  return date.toLocaleDateString('en-US', { 
+    month: 'short', day: 'numeric', year: 'numeric',
+    hour: 'numeric', minute: '2-digit', hour12: true,
+    timeZone: TIMEZONE
+  });
+}
+
+function buildSystemHealthSection(cronData, agentData, tasks) {
+  const cronHealthColor = cronData.errors.length > 0 ? 'orange' : 'green';
   const blockedColor = cronData.errors.length > 0 ? 'red' : '';
-  html = html.replace(
-    /<div class="health-value[^"]*">(\d+)<\/div>\s*<div class="health-label">Blocked/,
-    `<div class="health-value ${blockedColor}">${cronData.errors.length}</div>\n              <div class="health-label">Blocked`
-  );
   
-  // 2b. Update Body Health section (Oura data)
-  if (ouraData.resilience) {
-    // Resilience - green for strong/adequate, orange for low, red for very low
-    const resLevel = ouraData.resilience.level || 'unknown';
-    const resColor = resLevel === 'strong' ? 'green' : 
-                     resLevel === 'adequate' ? 'green' : 
-                     resLevel === 'limited' ? 'orange' : 'red';
-    html = html.replace(
-      /<div class="health-value[^"]*" id="resilience-value">[^<]+<\/div>/,
-      `<div class="health-value ${resColor}" id="resilience-value">${escapeHtml(resLevel)}</div>`
-    );
-    
-    // Stress - green for restored, orange for normal, red for stressful
-    const stressSummary = ouraData.stress?.summary || 'unknown';
-    const stressColor = stressSummary === 'restored' ? 'green' :
-                        stressSummary === 'normal' ? 'orange' :
-                        stressSummary === 'stressful' ? 'red' : '';
-    html = html.replace(
-      /<div class="health-value[^"]*" id="stress-value">[^<]+<\/div>/,
-      `<div class="health-value ${stressColor}" id="stress-value">${escapeHtml(stressSummary)}</div>`
-    );
-    
-    // VO2 Max with trend arrow
-    const vo2 = ouraData.vo2?.current || 0;
-    const vo2Trend = ouraData.vo2?.trend || '';
-    const trendColor = vo2Trend === '↑' ? 'var(--accent-green)' : 
-                       vo2Trend === '↓' ? 'var(--accent-orange)' : 'var(--text-muted)';
-    const vo2Display = vo2 > 0 ? `${vo2} <span style="font-size: 14px; color: ${trendColor};">${vo2Trend}</span>` : 'N/A';
-    html = html.replace(
-      /<div class="health-value[^"]*" id="vo2-value">[\s\S]*?<\/div>(\s*<div class="health-label">VO2 Max)/,
-      `<div class="health-value" id="vo2-value">${vo2Display}</div>$1`
-    );
-  }
-  
-  // 3. Update Needs Jordan badge count
-  const needsCount = state.needsJordan?.length || 3;
-  html = html.replace(
-    /(<div class="card-title">🔴 NEEDS YOU<\/div>\s*<span class="badge">)\d+(<\/span>)/,
-    `$1${needsCount}$2`
-  );
+  return `        <div class="card">
+          <div class="card-header">
+            <div class="card-title">📊 System Health</div>
+          </div>
+          <div class="health-grid">
+            <div class="health-item">
+              <div class="health-value ${cronHealthColor}">${cronData.healthy}/${cronData.total}</div>
+              <div class="health-label">Crons OK</div>
+            </div>
+            <div class="health-item">
+              <div class="health-value green">${agentData.count}</div>
+              <div class="health-label">Agents</div>
+            </div>
+            <div class="health-item">
+              <div class="health-value">${tasks.length}</div>
+              <div class="health-label">Tasks</div>
+            </div>
+            <div class="health-item">
+              <div class="health-value ${blockedColor}">${cronData.errors.length}</div>
+              <div class="health-label">Blocked</div>
+            </div>
+          </div>
+        </div>`;
+}
+
+function buildBodySection(ouraData) {
+  // Resilience - green for strong/adequate, orange for limited, red for very low
+  const resLevel = ouraData.resilience?.level || 'unknown';
+  const resColor = ['exceptional', 'strong', 'solid', 'adequate'].includes(resLevel) ? 'green' :
+                   resLevel === 'limited' ? 'orange' : 'red';
   
-  // 4. Update cron badge
-  html = html.replace(
-    /(<div class="card-title">🔄 Cron Jobs<\/div>\s*<span class="badge[^"]*">)\d+\/\d+(<\/span>)/,
-    `$1${cronData.healthy}/${cronData.total}$2`
-  );
+  // Stress - green for restored, orange for normal, red for stressful
+  const stressSummary = ouraData.stress?.summary || 'unknown';
+  const stressColor = stressSummary === 'restored' ? 'green' :
+                      stressSummary === 'normal' ? 'orange' :
+                      stressSummary === 'stressful' ? 'red' : '';
   
-  // 5. Rebuild cron grid
-  const cronGridHtml = buildCronGrid(cronData.crons);
-  html = html.replace(
-    /<div class="cron-grid">[\s\S]*?<\/div>(\s*<\/div>\s*<\/div>\s*<\/div>\s*<!-- LIFE OS VIEW -->)/,
-    `<div class="cron-grid">\n${cronGridHtml}          </div>$1`
-  );
+  // VO2 Max with trend arrow
+  const vo2 = ouraData.vo2?.current || 0;
+  const vo2Trend = ouraData.vo2?.trend || '';
+  const trendColor = vo2Trend === '↑' ? 'var(--accent-green)' : 
+                     vo2Trend === '↓' ? 'var(--accent-orange)' : 'var(--text-muted)';
+  const vo2Display = vo2 > 0 ? `${vo2} <span style="font-size: 14px; color: ${trendColor};">${vo2Trend}</span>` : 'N/A';
   
-  // 6. Rebuild active work section
-  const activeWorkHtml = buildActiveWork(tasks);
-  html = html.replace(
-    /(<div class="card-header">\s*<div class="card-title">🏃 Active Work<\/div>\s*<\/div>)[\s\S]*?(<\/div>\s*<div class="card">\s*<div class="card-header">\s*<div class="card-title">⏰ Coming Up)/,
-    `$1\n${activeWorkHtml}        $2`
-  );
+  // Scores from the Oura API (the script fallback doesn't report them)
+  const scoreColor = score => score >= 85 ? 'green' : score >= 70 ? '' : 'orange';
+  const vitals = [
+    ouraData.sleep?.score != null && { id: 'sleep-score', label: 'Sleep', value: ouraData.sleep.score, color: scoreColor(ouraData.sleep.score) },
+    ouraData.readiness?.score != null && { id: 'readiness-score', label: 'Readiness', value: ouraData.readiness.score, color: scoreColor(ouraData.readiness.score) },
+    ouraData.hrv?.average != null && { id: 'hrv-value', label: 'HRV (ms)', value: ouraData.hrv.average, color: '' },
+    ouraData.restingHeartRate != null && { id: 'rhr-value', label: 'Resting HR', value: ouraData.restingHeartRate, color: '' }
+  ].filter(Boolean);
+  const vitalsHtml = vitals.length === 0 ? '' : `
+          <div class="health-grid" style="grid-template-columns: repeat(${vitals.length}, 1fr); margin-top: 12px;">
+${vitals.map(v => `            <div class="health-item">
+              <div class="health-value ${v.color}" id="${v.id}">${escapeHtml(String(v.value))}</div>
+              <div class="health-label">${v.label}</div>
+            </div>`).join('\n')}
+          </div>`;
   
-  // 7. Rebuild Agent Status Panel and Activity Log sections
-  const newSections = buildAgentSection(agentData) + '\n\n' + buildActivitySection();
+  return `        <div class="card" id="body-health">
+          <div class="card-header">
+            <div class="card-title">💪 Body</div>
+          </div>
+          <div class="health-grid" style="grid-template-columns: repeat(3, 1fr);">
+            <div class="health-item">
+              <div class="health-value ${resColor}" id="resilience-value">${escapeHtml(resLevel)}</div>
+              <div class="health-label">Resilience</div>
+            </div>
+            <div class="health-item">
+              <div class="health-value ${stressColor}" id="stress-value">${escapeHtml(stressSummary)}</div>
+              <div class="health-label">Stress</div>
+            </div>
+            <div class="health-item">
+              <div class="health-value" id="vo2-value">${vo2Display}</div>
+              <div class="health-label">VO2 Max</div>
+            </div>
+          </div>${vitalsHtml}${buildBodyTrends(ouraData.trends || [])}
+        </div>`;
+}
+
+// Deviation from the 30-day baseline worth calling out in the Body card
+const BODY_DEVIATION_THRESHOLD = 25;
+// Metrics where a higher value is worse
+const BODY_LOWER_IS_BETTER = ['stressMinutes', 'restingHeartRate'];
+
+function formatBodyValue(key, value) {
+  if (value === null || value === undefined) return '—';
+  if (key === 'resilience') return bodyHistory.RESILIENCE_LEVELS[Math.round(value) - 1] || '—';
+  return String(Math.round(value));
+}
+
+function buildBodyTrends(trends) {
+  if (trends.length === 0) return '';
   
-  if (html.includes('🤖 Active Agents')) {
-    // Remove existing sections and rebuild
-    html = html.replace(
-      /\s*<div class="card">\s*<div class="card-header">\s*<div class="card-title">🤖 Active Agents[\s\S]*?<\/div>\s*<\/div>\s*<div class="card">\s*<div class="card-header">\s*<div class="card-title">📜 Activity Log[\s\S]*?<\/div>\s*<\/div>\s*(<div class="card" style="grid-column: 1 \/ -1;">\s*<div class="card-header">\s*<div class="card-title">🔄 Cron Jobs)/,
-      `\n\n${newSections}\n        $1`
-    );
-  } else {
-    // Insert new sections before the Cron Jobs card
-    html = html.replace(
-      /(<div class="card" style="grid-column: 1 \/ -1;">\s*<div class="card-header">\s*<div class="card-title">🔄 Cron Jobs)/,
-      `${newSections}\n        $1`
-    );
-  }
-  
-  // 7b. Update "Needs You" section with real data
-  if (extraData.needsYouItems) {
-    console.log('   Updating Needs You section...');
-    const needsYouHtml = buildNeedsYouSection(extraData.needsYouItems, state);
-    html = html.replace(
-      /<div class="card needs-jordan">[\s\S]*?<\/div>\s*<\/div>\s*(<div class="card" id="approval-queue")/,
-      `${needsYouHtml}\n        \n        $1`
-    );
-  }
-  
-  // 7c. Add Quick Actions panel (after approval queue)
-  console.log('   Adding Quick Actions panel...');
-  const quickActionsHtml = buildQuickActionsSection();
-  if (!html.includes('id="quick-actions"')) {
-    html = html.replace(
-      /(<\/div>\s*<\/div>\s*)(<div class="card">\s*<div class="card-header">\s*<div class="card-title">📊 System Health)/,
-      `$1\n${quickActionsHtml}\n        \n        $2`
-    );
-  }
-  
-  // 7d. Add/Update System Status panel
-  if (extraData.systemStatus) {
-    console.log('   Updating System Status panel...');
-    const systemStatusHtml = buildSystemStatusSection(extraData.systemStatus);
-    if (html.includes('id="system-status"')) {
-      html = html.replace(
-        /<div class="card" id="system-status">[\s\S]*?<\/div>\s*<\/div>\s*<\/div>/,
-        systemStatusHtml
-      );
-    } else {
-      // Insert after Body card
-      html = html.replace(
-        /(<\/div>\s*<\/div>\s*)(<div class="card">\s*<div class="card-header">\s*<div class="card-title">🏃 Active Work)/,
-        `$1\n${systemStatusHtml}\n        \n        $2`
-      );
+  const rows = trends.map(t => {
+    let delta = '';
+    if (t.deviationPct !== null) {
+      const worse = BODY_LOWER_IS_BETTER.includes(t.key) ? t.deviationPct > 0 : t.deviationPct < 0;
+      const sign = t.deviationPct > 0 ? '+' : '';
+      delta = `<span class="body-trend-delta ${t.deviationPct === 0 ? '' : worse ? 'bad' : 'good'}" title="vs. 30-day baseline">${sign}${t.deviationPct}%</span>`;
     }
-  }
+    return `            <div class="body-trend">
+              <span class="body-trend-label">${escapeHtml(t.label)}</span>
+              ${buildSparkline(t.series.map(p => p.value))}
+              <span class="body-trend-stats">7d ${formatBodyValue(t.key, t.avg7)} · 30d ${formatBodyValue(t.key, t.avg30)}</span>
+              ${delta || '<span></span>'}
+            </div>`;
+  }).join('\n');
   
-  // 7e. Use detailed cron grid with colors
-  const detailedCronHtml = buildDetailedCronGrid(cronData.crons);
-  html = html.replace(
-    /<div class="cron-grid">[\s\S]*?<\/div>(\s*<\/div>\s*<\/div>\s*<\/div>\s*<!-- LIFE OS VIEW -->)/,
-    `<div class="cron-grid">\n${detailedCronHtml}          </div>$1`
-  );
+  const insights = trends
+    .filter(t => t.deviationPct !== null && Math.abs(t.deviationPct) >= BODY_DEVIATION_THRESHOLD)
+    .map(t => `            <div class="body-insight">${escapeHtml(`${t.label[0].toUpperCase()}${t.label.slice(1)} ${Math.abs(t.deviationPct)}% ${t.deviationPct > 0 ? 'above' : 'below'} your 30-day average`)}</div>`);
   
-  // 8. Update Life OS tab with real data
-  if (lifeOSData && lifeOSData.goals) {
-    console.log('   Updating Life OS goal progress...');
-    
-    // Update Income progress
-    const incomeProgress = lifeOSData.goals.income?.progress || 0;
-    html = html.replace(
-      /(<div class="goal-progress-fill income" style="width: )\d+(%"><\/div>)/,
-      `$1${incomeProgress}$2`
-    );
-    html = html.replace(
-      /(<span class="goal-progress-value">)\d+(%<\/span>[\s\S]*?<div class="goal-progress-fill income")/,
-      `$1${incomeProgress}$2`
-    );
-    
-    // Update Body progress
-    const bodyProgress = lifeOSData.goals.body?.progress || 0;
-    html = html.replace(
-      /(<div class="goal-progress-fill body" style="width: )\d+(%"><\/div>)/,
-      `$1${bodyProgress}$2`
-    );
-    html = html.replace(
-      /(<span class="goal-progress-value">)\d+(%<\/span>[\s\S]*?<div class="goal-progress-fill body")/,
-      `$1${bodyProgress}$2`
-    );
-    
-    // Update Relationship progress
-    const relationshipProgress = lifeOSData.goals.relationship?.progress || 0;
-    html = html.replace(
-      /(<div class="goal-progress-fill love" style="width: )\d+(%"><\/div>)/,
-      `$1${relationshipProgress}$2`
-    );
-    html = html.replace(
-      /(<span class="goal-progress-value">)\d+(%<\/span>[\s\S]*?<div class="goal-progress-fill love")/,
-      `$1${relationshipProgress}$2`
-    );
-    
-    // Update Freedom progress
-    const freedomProgress = lifeOSData.goals.freedom?.progress || 0;
-    html = html.replace(
-      /(<div class="goal-progress-fill freedom" style="width: )\d+(%"><\/div>)/,
-      `$1${freedomProgress}$2`
-    );
-    html = html.replace(
-      /(<span class="goal-progress-value">)\d+(%<\/span>[\s\S]*?<div class="goal-progress-fill freedom")/,
-      `$1${freedomProgress}$2`
-    );
-    
-    // Update Life Quality progress
-    const joyProgress = lifeOSData.goals.lifeQuality?.progress || 60;
-    html = html.replace(
-      /(<div class="goal-progress-fill joy" style="width: )\d+(%"><\/div>)/,
-      `$1${joyProgress}$2`
-    );
-    html = html.replace(
-      /(<span class="goal-progress-value">)\d+(%<\/span>[\s\S]*?<div class="goal-progress-fill joy")/,
-      `$1${joyProgress}$2`
-    );
-  }
-  
-  // 9. Insert/Update Q1 Rocks section in Life OS tab
-  if (lifeOSData.rocks && lifeOSData.rocks.length > 0) {
-    console.log('   Updating Q1 Rocks section...');
-    const rocksHtml = buildRocksSection(lifeOSData);
-    
-    // Check if rocks section exists, if not insert it after goals-grid
-    if (html.includes('id="q1-rocks"')) {
-      // Replace existing rocks section
-      html = html.replace(
-        /<div class="card" id="q1-rocks"[\s\S]*?<\/div>\s*<\/div>\s*(<\/div>\s*<\/div>\s*<!-- LIFE OS VIEW -->|<div class="card" id="weekly-scorecard")/,
-        `${rocksHtml}\n        $1`
-      );
-    } else {
-      // Insert after goals-grid closing div
-      html = html.replace(
-        /(<\/div>\s*<!-- goals-grid end -->|<\/div>\s*<\/div>\s*<\/div>\s*<!-- LIFE OS VIEW -->)/,
-        `</div>\n\n${rocksHtml}\n      $1`
-      );
-    }
-  }
+  return `
+          <div class="body-trends">
+${[rows, ...insights].join('\n')}
+          </div>`;
+}
+
+/**
+ * Inline SVG line for a series; null values are gaps in the x axis.
+ */
+function buildSparkline(values, { width = 80, height = 20, color = 'var(--accent-blue)' } = {}) {
+  const points = values
+    .map((value, i) => value === null || value === undefined ? null : { i, value })
+    .filter(Boolean);
+  if (points.length === 0) return `<svg width="${width}" height="${height}"></svg>`;
   
-  // 10. Insert/Update Weekly Scorecard section
-  if (lifeOSData.scorecard && lifeOSData.scorecard.length > 0) {
-    console.log('   Updating Weekly Scorecard section...');
-    const scorecardHtml = buildScorecardSection(lifeOSData);
-    
-    if (html.includes('id="weekly-scorecard"')) {
-      html = html.replace(
-        /<div class="card" id="weekly-scorecard"[\s\S]*?<\/div>\s*<\/div>\s*(<\/div>\s*<\/div>\s*<!-- LIFE OS VIEW end -->|<footer)/,
-        `${scorecardHtml}\n        $1`
-      );
-    }
-  }
+  const min = Math.min(...points.map(p => p.value));
+  const max = Math.max(...points.map(p => p.value));
+  const x = i => values.length > 1 ? (i / (values.length - 1)) * (width - 2) + 1 : width / 2;
+  const y = v => max === min ? height / 2 : height - 1 - ((v - min) / (max - min)) * (height - 2);
+  const coords = points.map(p => `${x(p.i).toFixed(1)},${y(p.value).toFixed(1)}`);
+  const last = coords[coords.length - 1].split(',');
   
-  if (!DRY_RUN) {
-    fs.writeFileSync(htmlPath, html);
-    console.log('   ✅ index.html updated');
-  } else {
-    console.log('   [DRY RUN] Would update index.html');
-  }
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${coords.join(' ')}"/>` +
+    `<circle cx="${last[0]}" cy="${last[1]}" r="2" fill="${color}"/></svg>`;
+}
+
+// Goal ids whose progress-bar CSS class differs from the id
+const GOAL_FILL_CLASSES = {
+  relationship: 'love',
+  lifeQuality: 'joy'
+};
+
+// progress is null when no rock is tagged with the goal
+function buildGoalProgress(fillClass, progress = null) {
+  const tracked = progress !== null && progress !== undefined;
+  return `            <div class="goal-progress-container">
+              <div class="goal-progress-header">
+                <span class="goal-progress-label">${tracked ? 'Progress to goal' : 'No rocks tagged'}</span>
+                <span class="goal-progress-value">${tracked ? `${progress}%` : '—'}</span>
+              </div>
+              <div class="goal-progress-bar">
+                <div class="goal-progress-fill ${fillClass}" style="width: ${tracked ? progress : 0}%"></div>
+              </div>
+            </div>`;
 }
 
 function buildRocksSection(lifeOSData) {
-  const { rocks, rocksCompleted, rocksTotal, daysUntilQ1End } = lifeOSData;
+  const { rocks, rocksCompleted, rocksTotal } = lifeOSData;
+  const quarter = lifeOSData.quarter || getFiscalQuarter();
   const progressPercent = rocksTotal > 0 ? Math.round((rocksCompleted / rocksTotal) * 100) : 0;
-  const urgencyClass = daysUntilQ1End <= 30 ? 'urgent' : daysUntilQ1End <= 45 ? 'soon' : '';
+  const urgencyClass = quarter.daysLeft <= 30 ? 'urgent' : quarter.daysLeft <= 45 ? 'soon' : '';
   
   const rocksHtml = rocks.map(r => {
     const checkClass = r.done ? 'done' : '';
@@ -1086,15 +2505,15 @@ function buildRocksSection(lifeOSData) {
   
   return `        <div class="card" id="q1-rocks" style="grid-column: 1 / -1; background: linear-gradient(135deg, #0a1a1a 0%, var(--bg-secondary) 100%); border-color: var(--accent-purple); border-width: 2px;">
           <div class="card-header">
-            <div class="card-title" style="color: var(--accent-purple);">🎯 Q1 2026 Rocks</div>
+            <div class="card-title" style="color: var(--accent-purple);">🎯 ${escapeHtml(quarter.label)} Rocks</div>
             <div style="display: flex; align-items: center; gap: 12px;">
-              <span class="badge ${urgencyClass === 'urgent' ? '' : urgencyClass === 'soon' ? 'orange' : 'blue'}">${daysUntilQ1End}d left</span>
+              <span class="badge ${urgencyClass === 'urgent' ? '' : urgencyClass === 'soon' ? 'orange' : 'blue'}">${quarter.daysLeft}d left</span>
               <span class="badge ${rocksCompleted > 0 ? 'green' : ''}">${rocksCompleted}/${rocksTotal}</span>
             </div>
           </div>
           <div class="goal-progress-container" style="margin-bottom: 16px;">
             <div class="goal-progress-header">
-              <span class="goal-progress-label">Overall Q1 Progress</span>
+              <span class="goal-progress-label">Overall ${quarter.short} Progress</span>
               <span class="goal-progress-value">${progressPercent}%</span>
             </div>
             <div class="goal-progress-bar">
@@ -1107,29 +2526,68 @@ ${rocksHtml}
         </div>`;
 }
 
+function buildPastQuartersSection(pastQuarters) {
+  if (pastQuarters.length === 0) return '';
+  
+  const chips = pastQuarters.slice().reverse().map(q => {
+    const color = q.completionRate >= 80 ? 'var(--accent-green)' : q.completionRate >= 50 ? 'var(--accent-orange)' : 'var(--accent-red)';
+    return `            <div class="quarter-chip">
+              <div class="quarter-chip-label">${escapeHtml(q.label)}</div>
+              <div class="quarter-chip-rate" style="color: ${color};">${q.completionRate}% · ${q.completed}/${q.total}</div>
+            </div>`;
+  }).join('\n');
+  
+  return `        <div class="card" style="grid-column: 1 / -1;">
+          <div class="card-header">
+            <div class="card-title">🗄️ Past Quarters</div>
+            <span class="badge blue">${pastQuarters.length}</span>
+          </div>
+          <div class="quarter-strip">
+${chips}
+          </div>
+        </div>`;
+}
+
+function buildScorecardWeeks(history) {
+  if (!history) return '';
+  return history.recent.map(w => {
+    const state = w.onTrack === true ? 'hit' : w.onTrack === false ? 'miss' : '';
+    const title = `${w.week}: ${w.actual || '—'}${w.current ? ' (this week)' : ''}`;
+    return `<span class="scorecard-week ${state}${w.current ? ' current' : ''}" title="${escapeHtml(title)}"></span>`;
+  }).join('');
+}
+
 function buildScorecardSection(lifeOSData) {
   const { scorecard } = lifeOSData;
   
   const metricsHtml = scorecard.map(m => {
     const actual = m.actual || '—';
-    const hasValue = m.actual && m.actual !== '—' && m.actual.trim() !== '';
-    const statusColor = hasValue ? 'var(--accent-green)' : 'var(--text-muted)';
+    const statusColor = m.onTrack === true ? 'var(--accent-green)' : m.onTrack === false ? 'var(--accent-red)' : 'var(--text-muted)';
+    const history = m.history;
+    const stats = [];
+    if (history?.hitRate !== null && history?.hitRate !== undefined) stats.push(`${history.hitRate}% hit`);
+    if (history?.streak?.weeks >= 2) stats.push(`${history.streak.type === 'hit' ? '🔥' : '❄️'} ${history.streak.weeks}w`);
     
     return `            <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px 0; border-bottom: 1px solid var(--border);">
               <span style="font-size: 14px;">${escapeHtml(m.metric)}</span>
               <div style="display: flex; align-items: center; gap: 12px;">
+                <span class="scorecard-weeks">${buildScorecardWeeks(history)}</span>
+                <span style="font-size: 11px; color: var(--text-muted);">${stats.join(' · ')}</span>
                 <span style="font-size: 12px; color: var(--text-muted);">Target: ${escapeHtml(m.target)}</span>
                 <span style="font-size: 16px; font-weight: 600; color: ${statusColor};">${escapeHtml(actual)}</span>
               </div>
             </div>`;
   }).join('\n');
   
+  const onTrack = scorecard.filter(m => m.onTrack).length;
+  const evaluated = scorecard.filter(m => m.onTrack !== null).length;
+  
   return `        <div class="card" id="weekly-scorecard" style="grid-column: 1 / -1;">
           <div class="card-header">
             <div class="card-title">📊 Weekly Scorecard</div>
-            <span class="badge blue">This Week</span>
+            <span class="badge ${evaluated > 0 && onTrack === evaluated ? 'green' : 'blue'}">${escapeHtml(lifeOSData.scorecardWeek || 'This Week')} · ${onTrack}/${scorecard.length}</span>
           </div>
-          <div>
+          <div id="scorecard-metrics">
 ${metricsHtml}
           </div>
         </div>`;
@@ -1141,32 +2599,92 @@ function buildAgentSection(agentData) {
             <div class="card-title">🤖 Active Agents</div>
             <span class="badge green">${agentData.count}</span>
           </div>
-${buildAgentContent(agentData)}        </div>`;
+${buildAgentContent(agentData)}
+        </div>`;
+}
+
+const AGENT_TYPE_ICONS = { main: '🎯', subagent: '🔧', cron: '⏰', slack: '💬' };
+
+// Status dot per lifecycle state (work-status classes)
+const AGENT_STATE_CLASSES = { running: 'running', idle: 'waiting', completed: 'completed', aborted: 'blocked' };
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return null;
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// e.g. "claude-opus · started 9:12 AM · updated 4m ago · 18m · 42% ctx"
+function formatAgentMeta(node) {
+  const formatTime = iso => new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TIMEZONE });
+  const parts = [];
+  if (node.model) parts.push(node.model);
+  if (node.startedAt) parts.push(`started ${formatTime(node.startedAt)}`);
+  if (node.endedAt) {
+    parts.push(`ended ${formatRelativeTime(Date.parse(node.endedAt))}`);
+  } else if (node.updatedAt) {
+    parts.push(`updated ${formatRelativeTime(Date.parse(node.updatedAt))}`);
+  }
+  const duration = formatDuration(node.durationMs);
+  if (duration) parts.push(duration);
+  if (node.tokenPercent !== null && node.tokenPercent !== undefined) parts.push(`${node.tokenPercent}% ctx`);
+  return parts.join(' · ');
+}
+
+function buildAgentRow(node, indent, extraMeta = '') {
+  const icon = AGENT_TYPE_ICONS[node.type] || '🤖';
+  const childCount = node.children?.length ? ` (${node.children.length})` : '';
+  return `${indent}<div class="work-item">
+${indent}  <div class="work-status ${AGENT_STATE_CLASSES[node.state] || 'open'}"></div>
+${indent}  <div class="work-info">
+${indent}    <div class="work-title">${icon} ${escapeHtml(node.name)}${escapeHtml(childCount)} <span class="agent-state">${escapeHtml(node.state)}</span></div>
+${indent}    <div class="work-project">${escapeHtml(formatAgentMeta(node) + extraMeta)}</div>
+${indent}  </div>
+${indent}</div>`;
+}
+
+function hasRunningSession(node) {
+  return node.state === 'running' || node.children.some(hasRunningSession);
+}
+
+/**
+ * A session and, when it has any, its children in a collapsible <details>,
+ * open while something under it is running.
+ */
+function buildAgentNode(node, depth) {
+  const indent = ' '.repeat(10 + depth * 4);
+  if (node.children.length === 0) return buildAgentRow(node, indent);
+  
+  return `${indent}<details class="agent-node"${node.children.some(hasRunningSession) ? ' open' : ''}>
+${indent}  <summary>
+${buildAgentRow(node, indent + '    ')}
+${indent}  </summary>
+${indent}  <div class="agent-children">
+${node.children.map(child => buildAgentNode(child, depth + 1)).join('\n')}
+${indent}  </div>
+${indent}</details>`;
 }
 
 function buildAgentContent(agentData) {
-  if (agentData.active.length === 0) {
-    return `          <div style="padding: 12px 0; color: var(--text-muted);">No active agents</div>\n`;
-  }
-  
-  return agentData.active.slice(0, 5).map(a => {
-    const statusClass = a.isActive ? 'running' : 'waiting';
-    const tokenInfo = a.tokenUsage ? ` (${a.tokenUsage.percent}% ctx)` : '';
-    const typeIcon = {
-      'main': '🎯',
-      'subagent': '🔧',
-      'cron': '⏰',
-      'slack': '💬'
-    }[a.agentType] || '🤖';
-    
-    return `          <div class="work-item">
-            <div class="work-status ${statusClass}"></div>
-            <div class="work-info">
-              <div class="work-title">${typeIcon} ${escapeHtml(a.agentName)}${escapeHtml(tokenInfo)}</div>
-              <div class="work-project">${escapeHtml(a.age)}</div>
-            </div>
+  const tree = (agentData.tree || []).slice(0, LIMITS.agents);
+  const finished = agentData.recentlyFinished || [];
+  
+  const treeHtml = tree.length > 0
+    ? tree.map(node => buildAgentNode(node, 0)).join('\n')
+    : `          <div style="padding: 12px 0; color: var(--text-muted);">No active agents</div>`;
+  if (finished.length === 0) return treeHtml;
+  
+  const finishedHtml = finished
+    .map(node => buildAgentRow(node, '            ', node.parentName ? ` · from ${node.parentName}` : ''))
+    .join('\n');
+  return `${treeHtml}
+          <div class="agent-finished">
+            <div class="agent-finished-title">Recently finished</div>
+${finishedHtml}
           </div>`;
-  }).join('\n');
 }
 
 function buildActivitySection() {
@@ -1174,14 +2692,15 @@ function buildActivitySection() {
           <div class="card-header">
             <div class="card-title">📜 Activity Log</div>
           </div>
-${buildActivityContent()}        </div>`;
+${buildActivityContent()}
+        </div>`;
 }
 
 function buildActivityContent() {
-  const activities = loadActivityLog().slice(0, 8);
+  const activities = loadActivityLog().slice(0, LIMITS.activityFeed);
   
   if (activities.length === 0) {
-    return `          <div style="padding: 12px 0; color: var(--text-muted);">No recent activity</div>\n`;
+    return `          <div style="padding: 12px 0; color: var(--text-muted);">No recent activity</div>`;
   }
   
   return activities.map(a => {
@@ -1190,42 +2709,120 @@ function buildActivityContent() {
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
-      timeZone: 'America/Los_Angeles'
+      timeZone: TIMEZONE
     });
     
     return `          <div class="work-item">
             <div class="work-status" style="background: var(--accent-blue);"></div>
             <div class="work-info">
               <div class="work-title">${escapeHtml(a.action)}</div>
-              <div class="work-project">${escapeHtml(timeStr)}${a.details ? ' — ' + escapeHtml(a.details.substring(0, 50)) : ''}</div>
+              <div class="work-project">${escapeHtml(timeStr)}${a.details ? ' — ' + escapeHtml(a.details.substring(0, 50)) : ''}${a.heartbeat ? ` · ${a.runs} runs` : ''}</div>
             </div>
           </div>`;
   }).join('\n');
 }
 
-function buildCronGrid(crons) {
-  // Show top 9 crons for the grid
-  const topCrons = crons.slice(0, 9);
-  return topCrons.map(c => {
-    const healthClass = c.status === 'error' ? 'error' : 'ok';
-    const schedule = formatSchedule(c.next || c.schedule);
-    return `            <div class="cron-item"><div class="cron-health ${healthClass}"></div><span class="cron-name">${escapeHtml(c.name)}</span><span class="cron-schedule">${escapeHtml(schedule)}</span></div>`;
-  }).join('\n');
+const ACTIVITY_SOURCE_LABELS = { memory: '🧠 Daily log', system: '⚙️ System', hal: '🦞 Hal', script: '📜 Scripts' };
+
+function buildOvernightSection(overnight) {
+  const formatTime = iso => new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TIMEZONE });
+  const range = `${formatTime(overnight.start)} – ${overnight.inProgress ? 'now' : formatTime(overnight.end)}`;
+  
+  let shown = 0;
+  const groupsHtml = overnight.groups.map(group => {
+    const items = group.items.slice(0, Math.max(LIMITS.overnightItems - shown, 0));
+    shown += items.length;
+    if (items.length === 0) return '';
+    const rows = items.map(item => `            <div class="overnight-item">
+              <span class="overnight-time">${escapeHtml(formatTime(item.firstAt))}</span>
+              <span>${escapeHtml(item.action)}${item.count > 1 ? ` <span class="overnight-count">×${item.count}</span>` : ''}</span>
+            </div>`).join('\n');
+    return `          <div class="overnight-group">
+            <div class="overnight-source">${escapeHtml(ACTIVITY_SOURCE_LABELS[group.source] || group.source)}</div>
+${rows}
+          </div>`;
+  }).filter(Boolean).join('\n');
+  
+  return `        <div class="card">
+          <div class="card-header">
+            <div class="card-title">🌙 Overnight</div>
+            <span class="badge">${escapeHtml(range)}</span>
+          </div>
+${overnight.total === 0 ? '          <div style="padding: 12px 0; color: var(--text-muted);">Quiet night — nothing logged</div>' : groupsHtml}
+        </div>`;
+}
+
+function buildActiveWorkSection(tasks) {
+  return `        <div class="card">
+          <div class="card-header">
+            <div class="card-title">🏃 Active Work</div>
+          </div>
+${buildActiveWork(tasks)}
+        </div>`;
+}
+
+function upcomingDaysClass(daysAway) {
+  if (daysAway <= config.upcoming.urgentDays) return 'upcoming-days urgent';
+  return daysAway <= config.upcoming.soonDays ? 'upcoming-days soon' : 'upcoming-days';
+}
+
+function formatUpcomingLabel(item) {
+  const day = item.daysAway === 0 ? 'Today' : item.daysAway === 1 ? 'Tomorrow'
+    : new Date(`${item.date}T12:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return item.time ? `${day} ${item.time}` : day;
+}
+
+// Items from today on; a recurring calendar event only shows its next occurrence
+function nextUpcoming(upcoming) {
+  const seenUids = new Set();
+  return upcoming
+    .filter(item => item.daysAway >= 0)
+    .filter(item => !item.uid || (!seenUids.has(item.uid) && seenUids.add(item.uid)));
+}
+
+function buildComingUpSection(upcoming) {
+  const items = nextUpcoming(upcoming).slice(0, LIMITS.upcoming);
+  const itemsHtml = items.length === 0
+    ? `          <div style="padding: 12px 0; color: var(--text-muted);">Nothing coming up</div>`
+    : items.map(item => `          <div class="upcoming-item">
+            <div>
+              <div class="upcoming-title">${escapeHtml(item.title)}</div>
+              <div class="upcoming-project">${escapeHtml(item.project || '')}</div>
+            </div>
+            <div class="upcoming-date">
+              <div class="${upcomingDaysClass(item.daysAway)}">${item.daysAway}d</div>
+              <div class="upcoming-label">${escapeHtml(formatUpcomingLabel(item))}</div>
+            </div>
+          </div>`).join('\n');
+  
+  return `        <div class="card">
+          <div class="card-header">
+            <div class="card-title">⏰ Coming Up</div>
+          </div>
+${itemsHtml}
+        </div>`;
 }
 
+const WORK_STATUS_LABELS = { today: 'Today', overdue: 'Overdue', blocked: 'Blocked', open: 'Open' };
+
 function buildActiveWork(tasks) {
   if (tasks.length === 0) {
-    return `          <div style="padding: 12px 0; color: var(--text-muted);">No active tasks today</div>\n`;
+    return `          <div style="padding: 12px 0; color: var(--text-muted);">No active tasks today</div>`;
   }
   
-  return tasks.slice(0, 4).map(t => {
+  return tasks.slice(0, LIMITS.activeWork).map(t => {
+    const details = [t.area || t.project || 'Personal', WORK_STATUS_LABELS[t.workStatus]];
+    if (t.progress) details.push(`${t.progress.done}/${t.progress.total} ${t.progress.of}`);
+    // Nothing to measure (no checklist or child to-dos): leave the bar out rather than guess
+    const progress = t.progress
+      ? `\n            <div class="work-progress" title="${t.progress.percent}%"><div class="work-progress-bar" style="width: ${t.progress.percent}%"></div></div>`
+      : '';
     return `          <div class="work-item">
-            <div class="work-status waiting"></div>
+            <div class="work-status ${t.workStatus}" title="${WORK_STATUS_LABELS[t.workStatus]}"></div>
             <div class="work-info">
-              <div class="work-title">${escapeHtml(t.title)}</div>
-              <div class="work-project">${escapeHtml(t.area || t.project || 'Personal')}</div>
-            </div>
-            <div class="work-progress"><div class="work-progress-bar" style="width: 50%"></div></div>
+              <div class="work-title">${t.kind === 'project' ? '📁 ' : ''}${escapeHtml(t.title)}</div>
+              <div class="work-project">${escapeHtml(details.join(' · '))}</div>
+            </div>${progress}
           </div>`;
   }).join('\n');
 }
@@ -1279,9 +2876,19 @@ function buildQuickActionsSection() {
         </div>`;
 }
 
+// Burn rate and next threshold for the System Status card, e.g. "~12k tokens/h · compaction in 3h"
+function formatContextForecast(forecast) {
+  if (!forecast || forecast.tokensPerHour === null) return null;
+  const parts = [`~${formatTokens(forecast.tokensPerHour)} tokens/h`];
+  const next = forecast.memoryFlush?.hours > 0 ? ['memory flush', forecast.memoryFlush] : ['compaction', forecast.compaction];
+  if (next[1]) parts.push(`${next[0]} ${next[1].hours === 0 ? 'due now' : formatRelativeTime(Date.parse(next[1].at))}`);
+  return parts.join(' · ');
+}
+
 function buildSystemStatusSection(systemStatus) {
   const contextPercent = systemStatus.mainSessionContext?.percent || 0;
   const contextColor = contextPercent > 80 ? 'red' : contextPercent > 60 ? 'orange' : 'green';
+  const forecast = formatContextForecast(systemStatus.contextForecast);
   
   return `        <div class="card" id="system-status">
           <div class="card-header">
@@ -1304,32 +2911,106 @@ function buildSystemStatusSection(systemStatus) {
               <div class="health-value" style="font-size: 18px;">${systemStatus.notesFileCount}</div>
               <div class="health-label">Notes Files</div>
             </div>
+          </div>${forecast ? `
+          <div style="margin-top: 10px; font-size: 12px; color: var(--text-muted);">🔥 ${escapeHtml(forecast)}</div>` : ''}
+        </div>`;
+}
+
+const SPEND_STATUS_COLORS = { ok: 'green', warning: 'orange', over: 'red' };
+
+function buildSpendSection(spendData) {
+  const { today, monthToDate, topCrons } = spendData;
+  const color = SPEND_STATUS_COLORS[today.status];
+  const budget = today.budget ? `of ${formatCost(today.budget)} (${today.budgetPercent}%)` : 'no daily budget';
+  
+  const cronsHtml = topCrons.map(c => `            <div class="spend-row">
+              <span>⏰ ${escapeHtml(c.name)}</span>
+              <span>${formatCost(c.cost)}</span>
+            </div>`).join('\n') || `            <div class="spend-row" style="color: var(--text-muted);">No cron spend this month</div>`;
+  const unpriced = today.unpricedTokens > 0
+    ? `
+          <div class="spend-note">${formatTokens(today.unpricedTokens)} tokens today from models without a price</div>`
+    : '';
+  
+  return `        <div class="card spend-card ${today.status}" id="spend">
+          <div class="card-header">
+            <div class="card-title">💸 Spend</div>
+            <span class="${color === 'red' ? 'badge' : `badge ${color}`}">${escapeHtml(formatCost(today.cost))} today</span>
+          </div>
+          <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px;">
+            <div class="health-item">
+              <div class="health-value ${color}" style="font-size: 20px;">${escapeHtml(formatCost(today.cost))}</div>
+              <div class="health-label">Today · ${escapeHtml(budget)}</div>
+            </div>
+            <div class="health-item">
+              <div class="health-value" style="font-size: 20px;">${escapeHtml(formatCost(monthToDate.cost))}</div>
+              <div class="health-label">Month to Date</div>
+            </div>
           </div>
+          <div class="spend-crons">
+            <div class="spend-heading">Top crons this month</div>
+${cronsHtml}
+          </div>${unpriced}
         </div>`;
 }
 
-function buildNeedsYouSection(needsYouItems, state) {
-  // Combine new items with existing state items
-  const existingItems = state.needsJordan || [];
+function buildApprovalQueueSection(approvalItems) {
+  const itemsHtml = approvalItems.map(item => {
+    // Ids in a hand-edited queue file needn't be numbers; pass them as quoted strings
+    const idArg = escapeHtml(JSON.stringify(String(item.id)));
+    return `            <div class="need-item approval-item" style="border-left-color: var(--accent-blue);" data-id="${escapeHtml(String(item.id))}">
+              <h4>[${escapeHtml(String(item.id))}] ${escapeHtml(item.title)}</h4>
+              <p>${escapeHtml(item.description || '')}</p>
+              <div class="need-meta">
+                <span>${item.kind === 'idea' ? '💡 Idea' : '📋 Task'}</span>
+                <span>${escapeHtml(item.source || 'Dashboard')}</span>
+              </div>
+              <div class="approval-actions">
+                <button class="btn btn-approve" onclick="approveItem(${idArg})">✓ Approve</button>
+                <button class="btn btn-reject" onclick="rejectItem(${idArg})">✗ Reject</button>
+              </div>
+            </div>`;
+  }).join('\n') || `            <div style="padding: 12px 0; color: var(--text-muted);">No pending approvals</div>`;
   
-  // Prioritize: existing high-priority items first, then new items
-  const allItems = [
-    ...existingItems.slice(0, 2),
-    ...needsYouItems.slice(0, 3)
-  ].slice(0, 5);
+  return `        <div class="card" id="approval-queue" style="grid-column: 1 / -1; background: linear-gradient(135deg, #0a1a0a 0%, var(--bg-secondary) 100%); border-color: var(--accent-green); border-width: 2px;">
+          <div class="card-header">
+            <div class="card-title" style="color: var(--accent-green);">✅ Approval Queue</div>
+            <span class="badge green" id="approval-count">${approvalItems.length}</span>
+          </div>
+          <div id="approval-items">
+${itemsHtml}
+          </div>
+        </div>`;
+}
+
+// Hand-written state items (needsJordan) first, then the computed ones, up to LIMITS.needsYou
+function combineNeedsYouItems(needsYouItems, state) {
+  const existingItems = state.needsJordan || [];
+  return [
+    ...existingItems.slice(0, LIMITS.needsYouExisting),
+    ...needsYouItems.slice(0, LIMITS.needsYou - Math.min(existingItems.length, LIMITS.needsYouExisting))
+  ].slice(0, LIMITS.needsYou);
+}
+
+function buildNeedsYouSection(needsYouItems, state) {
+  const allItems = combineNeedsYouItems(needsYouItems, state);
   
   const itemCount = allItems.length;
   
   const itemsHtml = allItems.map(item => {
     const priorityClass = item.priority === 'P1' ? 'var(--accent-red)' : 'var(--accent-orange)';
-    const typeIcon = item.type === 'awaiting' ? '📨' : item.type === 'task' ? '✅' : '📋';
+    const typeIcon = item.type === 'awaiting' ? '📨' : item.type === 'task' ? '✅' : item.type === 'context' ? '🧠' : '📋';
+    const meta = [`<span>${typeIcon} ${escapeHtml(item.source || item.project || item.type)}</span>`];
+    if (item.waiting) meta.push(`<span>⏳ ${escapeHtml(item.waiting)}</span>`);
+    if (item.due) meta.push(`<span>📅 ${escapeHtml(item.due)}</span>`);
+    if (item.needsRecheck) meta.push(`<span title="Not re-checked in ${item.daysSinceCheck}d">🔁 re-check</span>`);
+    meta.push(`<span>⚡ ${escapeHtml(item.priority || 'P2')}</span>`);
     
     return `          <div class="need-item" style="border-left-color: ${priorityClass};">
             <h4>${escapeHtml(item.title)}</h4>
             <p>${escapeHtml(item.context || item.description || '')}</p>
             <div class="need-meta">
-              <span>${typeIcon} ${escapeHtml(item.source || item.project || item.type)}</span>
-              <span>⚡ ${escapeHtml(item.priority || 'P2')}</span>
+              ${meta.join('\n              ')}
             </div>
           </div>`;
   }).join('\n');
@@ -1343,9 +3024,21 @@ ${itemsHtml}
         </div>`;
 }
 
+function buildCronSection(cronData) {
+  return `        <div class="card" style="grid-column: 1 / -1;">
+          <div class="card-header">
+            <div class="card-title">🔄 Cron Jobs</div>
+            <span class="badge ${cronData.errors.length > 0 ? '' : 'green'}">${cronData.healthy}/${cronData.total}</span>
+          </div>
+          <div class="cron-grid">
+${buildDetailedCronGrid(cronData.crons)}
+          </div>
+        </div>`;
+}
+
 function buildDetailedCronGrid(crons) {
   // Show all crons with detailed status
-  return crons.slice(0, 12).map(c => {
+  return crons.slice(0, LIMITS.crons).map(c => {
     // Color based on status
     let healthClass = 'ok';
     let tooltipText = `Last: ${c.last || 'never'}`;
@@ -1360,11 +3053,23 @@ function buildDetailedCronGrid(crons) {
     
     const schedule = formatSchedule(c.next || c.schedule);
     const lastRun = c.last && c.last !== '-' ? ` (${c.last})` : '';
+    const history = c.history || {};
+    
+    const flags = [];
+    if (history.failureStreak >= 2) flags.push(`<span class="cron-flag error" title="${history.failureStreak} failed runs in a row">🔥${history.failureStreak}</span>`);
+    if (history.flapping) flags.push(`<span class="cron-flag warning" title="${history.transitions7d} ok/error flips in 7d">⚡</span>`);
+    if (history.stalled) flags.push(`<span class="cron-flag warning" title="No run since ${escapeHtml(history.lastRunAt || '?')}">⏸</span>`);
+    
+    const rates = [
+      history.successRate7d != null ? `7d ${history.successRate7d}%` : null,
+      history.successRate30d != null ? `30d ${history.successRate30d}%` : null
+    ].filter(Boolean).join(' · ');
+    if (rates) tooltipText += ` — ${rates}`;
     
     return `            <div class="cron-item" title="${escapeHtml(tooltipText)}" style="${healthClass === 'warning' ? 'opacity: 0.7;' : ''}">
               <div class="cron-health ${healthClass === 'warning' ? 'ok' : healthClass}" style="${healthClass === 'warning' ? 'background: var(--accent-orange);' : ''}"></div>
-              <span class="cron-name">${escapeHtml(c.name)}</span>
-              <span class="cron-schedule">${escapeHtml(schedule)}${escapeHtml(lastRun)}</span>
+              <span class="cron-name">${escapeHtml(c.name)}</span>${flags.join('')}
+              <span class="cron-schedule">${escapeHtml(schedule)}${escapeHtml(lastRun)}${history.successRate7d != null ? ` · ${history.successRate7d}%` : ''}</span>
             </div>`;
   }).join('\n');
 }
@@ -1373,7 +3078,7 @@ function buildDetailedCronGrid(crons) {
 // MAIN
 // =============================================================================
 
-function main() {
+async function main() {
   console.log('');
   console.log('='.repeat(60));
   console.log('Dashboard Auto-Updater');
@@ -1384,87 +3089,113 @@ function main() {
     console.log('🔍 DRY RUN MODE - No files will be modified\n');
   }
   
-  // Collect data
-  const cronData = getCronDetailedStatus();
-  const tasks = getThingsTasks();
-  const agentData = getActiveAgents();
-  const logs = getRecentDailyLogs();
-  const ouraData = getOuraBodyStats();
-  const lifeOSData = getLifeOSData();
-  const taskCounts = getThingsTaskCounts();
-  
-  // New data sources
-  const awaitingResponses = getAwaitingResponses();
-  const approvalItems = getApprovalQueueItems();
-  const priorityTasks = getHighPriorityTasks();
-  const systemStatus = getSystemStatus();
-  
-  // Combine "Needs You" items
-  const needsYouItems = [
-    ...awaitingResponses.map(a => ({
-      type: 'awaiting',
-      title: a.title,
-      context: a.status || `Check: ${a.channel}`,
-      priority: 'P2',
-      source: a.channel,
-      link: a.whereToCheck
-    })),
-    ...priorityTasks.map(t => ({
-      type: 'task',
-      title: t.title,
-      context: t.project ? `Project: ${t.project}` : 'Today task',
-      priority: 'P1',
-      source: 'Things'
-    }))
-  ];
+  // Collect data from every registered source concurrently
+  const data = await collectDashboardData();
+  updateCronHistory(data.crons);
+  updateRocksArchive(data.lifeOS);
+  updateScorecardHistory(data.lifeOS);
+  updateBodyHistory(data.oura);
+  updateTokenHistory(data);
+  updateSessionLifecycle(data.agents);
+  updateSpend(data);
+  data.overnight = buildOvernightDigest(mergeDailyLogActivities(data.dailyLogs));
+  deriveTaskViews(data);
+  data.needsYouItems = buildNeedsYouItems(data);
+  data.alerts = await processAlerts(data, data.collectorStatus);
+  const { crons: cronData, tasks, agents: agentData, lifeOS: lifeOSData, taskCounts, systemStatus, needsYouItems } = data;
   
   console.log('');
   
-  // Log this update as an activity
+  // Refresh the rolling heartbeat rather than adding an entry per run
   if (!DRY_RUN) {
-    logActivity('Dashboard updated', `${cronData.healthy}/${cronData.total} crons OK, ${tasks.length} tasks, ${agentData.count} agents`, 'system');
+    recordHeartbeat('Dashboard updated', `${cronData.healthy}/${cronData.total} crons OK, ${tasks.length} tasks, ${agentData.count} agents`);
   }
   
   // Update files
-  const state = updateStateFile(cronData, tasks, agentData);
-  
-  // Pass all new data to HTML updater
-  const extraData = {
-    needsYouItems,
-    systemStatus,
-    awaitingResponses,
-    approvalItems
-  };
-  updateDashboardHTML(state, cronData, tasks, agentData, ouraData, lifeOSData, taskCounts, extraData);
+  const state = updateStateFile(data);
+  updateCalendarFeed(data, state);
+  const renderFailures = updateDashboardHTML(data, state);
+  updateSnapshots(state);
   
-  // Save all data to state.json for dashboard server
-  if (!DRY_RUN) {
-    const statePath = path.join(DASHBOARD_DIR, 'state.json');
-    try {
-      const existingState = JSON.parse(fs.readFileSync(statePath, 'utf8'));
-      existingState.lifeOS = lifeOSData;
-      existingState.taskCounts = taskCounts;
-      existingState.systemStatus = systemStatus;
-      existingState.needsYouItems = needsYouItems;
-      existingState.awaitingResponses = awaitingResponses;
-      fs.writeFileSync(statePath, JSON.stringify(existingState, null, 2));
-    } catch (err) {
-      console.log(`   ⚠️ Could not update state.json with extra data: ${err.message}`);
-    }
-  }
+  const failedCollectors = Object.entries(data.collectorStatus).filter(([, status]) => !status.ok);
   
   console.log('');
   console.log('📊 Summary:');
   console.log(`   - Crons: ${cronData.healthy}/${cronData.total} healthy`);
-  console.log(`   - Tasks: ${tasks.length} active (Today: ${taskCounts.today}, Inbox: ${taskCounts.inbox})`);
+  console.log(`   - Tasks: ${tasks.length} today (Upcoming: ${taskCounts.upcoming}, Anytime: ${taskCounts.anytime}, Inbox: ${taskCounts.inbox})`);
   console.log(`   - Agents: ${agentData.count} running`);
-  console.log(`   - Q1 Rocks: ${lifeOSData.rocksCompleted}/${lifeOSData.rocksTotal} done (${lifeOSData.daysUntilQ1End}d left)`);
+  console.log(`   - ${lifeOSData.quarter?.label || 'Quarter'} Rocks: ${lifeOSData.rocksCompleted}/${lifeOSData.rocksTotal} done (${lifeOSData.quarter?.daysLeft ?? '?'}d left)`);
   console.log(`   - Needs You: ${needsYouItems.length} items`);
-  console.log(`   - System: Clawdbot v${systemStatus.clawdbotVersion}, ${systemStatus.mainSessionContext?.percent || '?'}% context`);
+  console.log(`   - Spend: ${formatCost(data.spend.today.cost)} today (${data.spend.today.status}), ${formatCost(data.spend.monthToDate.cost)} month to date`);
+  console.log(`   - System: Clawdbot v${systemStatus.clawdbotVersion}, ${systemStatus.mainSessionContext?.percent || '?'}% context${systemStatus.contextForecast?.tokensPerHour ? ` (${formatContextForecast(systemStatus.contextForecast)})` : ''}`);
   console.log(`   - Errors: ${cronData.errors.length}`);
   if (cronData.errors.length > 0) {
     console.log(`   - Failed crons: ${cronData.errors.map(e => e.name).join(', ')}`);
   }
+  if (cronData.warnings.length > 0) {
+    console.log(`   - ⚠️ Unparseable cron rows: ${cronData.warnings.length} (${cronData.warnings.map(w => w.reason).join('; ')})`);
+  }
+  if (cronData.flapping.length > 0) {
+    console.log(`   - Flapping crons: ${cronData.flapping.map(c => c.name).join(', ')}`);
+  }
+  if (cronData.stalled.length > 0) {
+    console.log(`   - Stalled crons: ${cronData.stalled.map(c => c.name).join(', ')}`);
+  }
+  if (data.alerts.length > 0) {
+    console.log(`   - Alerts: ${data.alerts.map(a => a.title).join('; ')}`);
+  }
+  if (failedCollectors.length > 0) {
+    console.log(`   - Failed collectors: ${failedCollectors.map(([name]) => name).join(', ')}`);
+  }
+  if (renderFailures.length > 0) {
+    console.log(`   - Render failures: ${renderFailures.map(f => f.slot).join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+const COMMANDS = {
+  queue: runQueueCommand,
+  activity: runActivityCommand,
+  briefing: runBriefingCommand
+};
+
+// Errors that are the user's to fix print without a stack trace
+const USAGE_ERRORS = [approvalQueue.QueueError, activityArchive.ActivityQueryError, briefing.BriefingError];
+
+if (require.main === module) {
+  const [command, ...args] = CLI.positionals;
+  if (CLI.missingValues.length > 0) {
+    console.error(`❌ Missing value for ${CLI.missingValues.map(name => `--${name}`).join(', ')}`);
+    process.exit(1);
+  } else if (command && COMMANDS[command]) {
+    Promise.resolve()
+      .then(() => COMMANDS[command](args, CLI.flags))
+      .catch(err => {
+        console.error(`❌ ${USAGE_ERRORS.some(type => err instanceof type) ? err.message : err.stack || err.message}`);
+        process.exit(1);
+      });
+  } else if (command) {
+    console.error(`❌ Unknown command "${command}" (expected one of: ${Object.keys(COMMANDS).join(', ')})`);
+    process.exit(1);
+  } else {
+    main().catch(err => {
+      console.error(`❌ Dashboard update failed: ${err.stack || err.message}`);
+      process.exit(1);
+    });
+  }
 }
 
-main();
+module.exports = {
+  config,
+  DASHBOARD_DIR,
+  ACTIVITY_LOG_PATH,
+  APPROVAL_QUEUE_PATH,
+  CALENDAR_FEED_PATH,
+  registerCollector,
+  registerNotifier,
+  collectDashboardData,
+  runCollector,
+  loadActivityLog,
+  logActivity,
+  updateApprovalQueue
+};